@@ -0,0 +1,46 @@
+/**
+ * Roles & Permissions Configuration
+ *
+ * WHY: A single user/admin split forces us to hand out full admin power
+ * (including deleting users) to staff who only need to, say, mark orders
+ * as shipped. Routes now check fine-grained permissions, and roles are just
+ * named bundles of permissions.
+ *
+ * HOW: Add a permission here, reference it with requirePermission() in the
+ * route, and grant it to the roles that need it. Individual users can also
+ * be granted extra permissions (User.permissions) without a new role.
+ *
+ * REAL-WORLD: This is the RBAC model used by Shopify staff accounts,
+ * AWS IAM policies, etc. - permissions are checked, never role names.
+ */
+
+export const PERMISSIONS = {
+  ORDERS_READ: 'orders:read', // View any customer's orders
+  ORDERS_UPDATE_STATUS: 'orders:update-status', // Move orders through fulfilment
+  PRODUCTS_WRITE: 'products:write', // Create, update, delete products
+  USERS_READ: 'users:read', // View customer accounts
+  USERS_MANAGE: 'users:manage', // Edit, delete users and change roles
+  REPORTS_READ: 'reports:read', // Dashboard statistics and sales reports
+  API_KEYS_MANAGE: 'api-keys:manage' // Create and revoke integration API keys
+};
+
+export const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+/**
+ * Built-in roles
+ *
+ * - user: regular customer, no staff permissions
+ * - support: customer service - look up customers and their orders
+ * - fulfilment: warehouse staff - see orders and update their status
+ * - catalog-manager: manage the product catalog
+ * - admin: everything
+ */
+export const ROLE_PERMISSIONS = {
+  user: [],
+  support: [PERMISSIONS.ORDERS_READ, PERMISSIONS.USERS_READ],
+  fulfilment: [PERMISSIONS.ORDERS_READ, PERMISSIONS.ORDERS_UPDATE_STATUS],
+  'catalog-manager': [PERMISSIONS.PRODUCTS_WRITE, PERMISSIONS.REPORTS_READ],
+  admin: ALL_PERMISSIONS
+};
+
+export const ROLES = Object.keys(ROLE_PERMISSIONS);
@@ -0,0 +1,184 @@
+/**
+ * Address Book Controller
+ *
+ * PROBLEM IT SOLVES: Lets customers save multiple shipping addresses
+ * (home, work, ...) and pick one at checkout instead of typing it every time.
+ *
+ * REAL-WORLD: Saved addresses with a default shipping address are standard
+ * on Nykaa, Amazon, Flipkart - they make repeat checkout a single click.
+ */
+
+import User from '../models/User.js';
+import { validationResult } from 'express-validator';
+
+const ADDRESS_FIELDS = ['label', 'name', 'phone', 'address', 'city', 'state', 'zipCode', 'country'];
+
+/**
+ * @desc    Get current user's addresses
+ * @route   GET /api/auth/me/addresses
+ * @access  Private
+ */
+export const getAddresses = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      count: user.addresses.length,
+      data: {
+        addresses: user.addresses
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Add address to address book
+ * @route   POST /api/auth/me/addresses
+ * @access  Private
+ *
+ * First address (or one sent with isDefault: true) becomes the default.
+ */
+export const addAddress = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+
+    const addressData = { isDefault: req.body.isDefault === true };
+    ADDRESS_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) addressData[field] = req.body[field];
+    });
+
+    const address = user.addAddress(addressData);
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Address added',
+      data: {
+        address,
+        addresses: user.addresses
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update address
+ * @route   PUT /api/auth/me/addresses/:addressId
+ * @access  Private
+ */
+export const updateAddress = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    const address = user.addresses.id(req.params.addressId);
+
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        error: 'Address not found'
+      });
+    }
+
+    ADDRESS_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) address[field] = req.body[field];
+    });
+
+    if (req.body.isDefault === true) {
+      user.setDefaultAddress(address._id);
+    }
+
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Address updated',
+      data: {
+        address,
+        addresses: user.addresses
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Set default shipping address
+ * @route   PUT /api/auth/me/addresses/:addressId/default
+ * @access  Private
+ */
+export const setDefaultAddress = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const address = user.setDefaultAddress(req.params.addressId);
+
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        error: 'Address not found'
+      });
+    }
+
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Default address updated',
+      data: {
+        addresses: user.addresses
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete address
+ * @route   DELETE /api/auth/me/addresses/:addressId
+ * @access  Private
+ */
+export const deleteAddress = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user.removeAddress(req.params.addressId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Address not found'
+      });
+    }
+
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Address deleted',
+      data: {
+        addresses: user.addresses
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -16,12 +16,16 @@
 import User from '../models/User.js';
 import Product from '../models/Product.js';
 import Order from '../models/Order.js';
+import RefreshToken from '../models/RefreshToken.js';
+import ApiKey from '../models/ApiKey.js';
 import mongoose from 'mongoose';
+import { validationResult } from 'express-validator';
+import { ROLES, ROLE_PERMISSIONS, ALL_PERMISSIONS } from '../config/permissions.js';
 
 /**
  * @desc    Get dashboard statistics
  * @route   GET /api/admin/stats
- * @access  Private/Admin
+ * @access  Private (reports:read)
  * 
  * REAL-WORLD: Admin dashboard needs quick stats overview.
  * Returns key metrics for business insights.
@@ -32,8 +36,8 @@ export const getDashboardStats = async (req, res, next) => {
     const totalUsers = await User.countDocuments();
 
     // Total products
-    const totalProducts = await Product.countDocuments();
-    const outOfStockProducts = await Product.countDocuments({ inStock: false });
+    const totalProducts = await Product.countDocuments({ archivedAt: null });
+    const outOfStockProducts = await Product.countDocuments({ archivedAt: null, inStock: false });
 
     // Total orders
     const totalOrders = await Order.countDocuments();
@@ -163,7 +167,7 @@ export const getDashboardStats = async (req, res, next) => {
 /**
  * @desc    Get all users with pagination
  * @route   GET /api/admin/users
- * @access  Private/Admin
+ * @access  Private (users:read)
  * 
  * REAL-WORLD: Admin needs to view and manage all users.
  */
@@ -209,7 +213,7 @@ export const getAllUsers = async (req, res, next) => {
 /**
  * @desc    Get user by ID
  * @route   GET /api/admin/users/:id
- * @access  Private/Admin
+ * @access  Private (users:read)
  */
 export const getUserById = async (req, res, next) => {
   try {
@@ -256,16 +260,28 @@ export const getUserById = async (req, res, next) => {
   }
 };
 
+/**
+ * Can the acting staff member manage this account?
+ * 
+ * WHY: Staff can only manage accounts whose permissions they hold
+ * themselves. Otherwise users:manage would be enough to take over an admin
+ * (change their email, then reset the password), demote or delete them.
+ */
+const canManage = (actor, target) =>
+  target.getPermissions().every((permission) => actor.hasPermission(permission));
+
 /**
  * @desc    Update user (Admin)
  * @route   PUT /api/admin/users/:id
- * @access  Private/Admin
+ * @access  Private (users:manage)
  * 
  * REAL-WORLD: Admin may need to update user details, roles, etc.
+ * Only users whose permissions the caller holds can be changed; changing
+ * the email or role logs the user out everywhere.
  */
 export const updateUser = async (req, res, next) => {
   try {
-    const { name, email, role, phone, isEmailVerified } = req.body;
+    const { name, email, role, permissions, phone, isEmailVerified } = req.body;
 
     const user = await User.findById(req.params.id);
 
@@ -276,15 +292,56 @@ export const updateUser = async (req, res, next) => {
       });
     }
 
+    if (!canManage(req.user, user)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Cannot modify a user with permissions you do not have'
+      });
+    }
+
+    if (role !== undefined && !ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid role. Must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    if (permissions !== undefined &&
+        (!Array.isArray(permissions) || permissions.some((p) => !ALL_PERMISSIONS.includes(p)))) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid permissions. Allowed: ${ALL_PERMISSIONS.join(', ')}`
+      });
+    }
+
+    // Prevent privilege escalation: staff can only grant permissions they hold themselves
+    const granted = [...(role ? ROLE_PERMISSIONS[role] : []), ...(permissions || [])];
+    const notHeld = granted.filter((permission) => !req.user.hasPermission(permission));
+    if (notHeld.length > 0) {
+      return res.status(403).json({
+        success: false,
+        error: `Cannot grant permissions you don't have: ${[...new Set(notHeld)].join(', ')}`
+      });
+    }
+
+    const emailChanged = Boolean(email) && email !== user.email;
+    const roleChanged = Boolean(role) && role !== user.role;
+
     // Update fields
     if (name) user.name = name;
     if (email) user.email = email;
-    if (role && ['user', 'admin'].includes(role)) user.role = role;
+    if (role) user.role = role;
+    if (permissions) user.permissions = permissions;
     if (phone !== undefined) user.phone = phone;
     if (isEmailVerified !== undefined) user.isEmailVerified = isEmailVerified;
 
     await user.save();
 
+    // Sessions opened under the old email or role shouldn't outlive the change
+    if (emailChanged || roleChanged) {
+      await RefreshToken.revokeAllForUser(user._id, 'account-change');
+    }
+
     res.status(200).json({
       success: true,
       message: 'User updated successfully',
@@ -294,6 +351,7 @@ export const updateUser = async (req, res, next) => {
           name: user.name,
           email: user.email,
           role: user.role,
+          permissions: user.getPermissions(),
           phone: user.phone,
           isEmailVerified: user.isEmailVerified
         }
@@ -307,9 +365,10 @@ export const updateUser = async (req, res, next) => {
 /**
  * @desc    Delete user
  * @route   DELETE /api/admin/users/:id
- * @access  Private/Admin
+ * @access  Private (users:manage)
  * 
  * REAL-WORLD: Admin may need to delete users (with caution).
+ * Only users whose permissions the caller holds can be deleted.
  */
 export const deleteUser = async (req, res, next) => {
   try {
@@ -330,6 +389,13 @@ export const deleteUser = async (req, res, next) => {
       });
     }
 
+    if (!canManage(req.user, user)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Cannot delete a user with permissions you do not have'
+      });
+    }
+
     await User.findByIdAndDelete(req.params.id);
 
     res.status(200).json({
@@ -341,9 +407,206 @@ export const deleteUser = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Force logout a user from all devices
+ * @route   POST /api/admin/users/:id/logout
+ * @access  Private (users:manage)
+ * 
+ * REAL-WORLD: Used when an account looks compromised or staff leave.
+ * Revokes every session, which also invalidates their access tokens.
+ */
+export const forceLogoutUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (!canManage(req.user, user)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Cannot log out a user with permissions you do not have'
+      });
+    }
+
+    const result = await RefreshToken.revokeAllForUser(user._id, 'admin-logout');
+
+    res.status(200).json({
+      success: true,
+      message: `User logged out from ${result.modifiedCount} session(s)`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get roles and their permissions
+ * @route   GET /api/admin/roles
+ * @access  Private (users:read)
+ * 
+ * WHY: Admin UI needs to show which role grants what when assigning roles.
+ */
+export const getRoles = async (req, res, next) => {
+  try {
+    const roles = ROLES.map((role) => ({
+      role,
+      permissions: ROLE_PERMISSIONS[role]
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        roles,
+        permissions: ALL_PERMISSIONS
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List API keys
+ * @route   GET /api/admin/api-keys
+ * @access  Private (api-keys:manage)
+ * 
+ * Key values are never returned - only the display prefix and usage info.
+ */
+export const getApiKeys = async (req, res, next) => {
+  try {
+    const apiKeys = await ApiKey.find()
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 });
 
+    res.status(200).json({
+      success: true,
+      count: apiKeys.length,
+      data: {
+        apiKeys: apiKeys.map((apiKey) => ({
+          id: apiKey._id,
+          name: apiKey.name,
+          displayPrefix: apiKey.displayPrefix,
+          permissions: apiKey.permissions,
+          expiresAt: apiKey.expiresAt,
+          lastUsedAt: apiKey.lastUsedAt,
+          lastUsedIp: apiKey.lastUsedIp,
+          revokedAt: apiKey.revokedAt,
+          active: apiKey.isActive(),
+          createdBy: apiKey.createdBy,
+          createdAt: apiKey.createdAt
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
+/**
+ * @desc    Create an API key for a server-to-server integration
+ * @route   POST /api/admin/api-keys
+ * @access  Private (api-keys:manage)
+ * 
+ * FLOW:
+ * 1. Validate permissions (only ones the admin holds, like updateUser)
+ * 2. Generate key - stored hashed
+ * 3. Return the plain key ONCE; it cannot be retrieved later
+ */
+export const createApiKey = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
 
+    const { name, permissions, expiresAt } = req.body;
 
+    if (!Array.isArray(permissions) || permissions.length === 0 ||
+        permissions.some((p) => !ALL_PERMISSIONS.includes(p))) {
+      return res.status(400).json({
+        success: false,
+        error: `Permissions are required. Allowed: ${ALL_PERMISSIONS.join(', ')}`
+      });
+    }
 
+    const notHeld = permissions.filter((permission) => !req.user.hasPermission(permission));
+    if (notHeld.length > 0) {
+      return res.status(403).json({
+        success: false,
+        error: `Cannot grant permissions you don't have: ${notHeld.join(', ')}`
+      });
+    }
 
+    if (expiresAt !== undefined && new Date(expiresAt) <= Date.now()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Expiry date must be in the future'
+      });
+    }
+
+    const { apiKey, key } = await ApiKey.generate({
+      name,
+      permissions: [...new Set(permissions)],
+      expiresAt,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now - it will not be shown again.',
+      data: {
+        key,
+        apiKey: {
+          id: apiKey._id,
+          name: apiKey.name,
+          displayPrefix: apiKey.displayPrefix,
+          permissions: apiKey.permissions,
+          expiresAt: apiKey.expiresAt
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Revoke an API key
+ * @route   DELETE /api/admin/api-keys/:id
+ * @access  Private (api-keys:manage)
+ * 
+ * The key is kept (revokedAt set) so the audit trail of who created it
+ * and when it was last used survives.
+ */
+export const revokeApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -18,7 +18,112 @@
  */
 
 import User from '../models/User.js';
+import RefreshToken from '../models/RefreshToken.js';
+import Cart from '../models/Cart.js';
+import Order from '../models/Order.js';
+import RecentlyViewed from '../models/RecentlyViewed.js';
 import { validationResult } from 'express-validator';
+import { sendMail } from '../utils/mailer.js';
+import { saveImage, deleteImagesQuietly } from '../utils/imageStorage.js';
+import { readGuestId, clearGuestCookie } from '../middleware/guest.js';
+
+/**
+ * Set refresh token in httpOnly cookie (secure, not accessible via JavaScript)
+ */
+const setRefreshCookie = (res, refreshToken) => {
+  res.cookie('refreshToken', refreshToken, {
+    httpOnly: true, // Prevents XSS attacks
+    secure: process.env.NODE_ENV === 'production', // HTTPS only in production
+    sameSite: 'strict', // CSRF protection
+    maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+  });
+};
+
+const clearRefreshCookie = (res) => {
+  res.cookie('refreshToken', '', {
+    httpOnly: true,
+    expires: new Date(0) // Expire immediately
+  });
+};
+
+/**
+ * Issue access + refresh tokens and send the standard auth response
+ * 
+ * Refresh token starts a new server-side token family (= session for this
+ * device) and goes into the httpOnly cookie; the access token is returned
+ * in the body.
+ */
+const sendTokenResponse = async (req, res, user, statusCode, message) => {
+  const { refreshToken, sessionId } = await RefreshToken.issue(user, {
+    userAgent: req.get('user-agent'),
+    ip: req.ip
+  });
+  const accessToken = user.generateAccessToken(sessionId);
+
+  setRefreshCookie(res, refreshToken);
+
+  res.status(statusCode).json({
+    success: true,
+    data: {
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        phone: user.phone,
+        isEmailVerified: user.isEmailVerified,
+        twoFactorEnabled: user.twoFactorEnabled
+      },
+      accessToken
+    },
+    message
+  });
+};
+
+/**
+ * Move guest activity into the account after signup/login
+ * 
+ * - Guest cart (from the signed guest cookie) is merged into the user's cart
+ * - Guest recently viewed products are merged into the user's history
+ * - Guest orders with the user's email are attached (see Order.claimGuestOrders)
+ * 
+ * Never blocks authentication: failures are logged and the login goes on.
+ */
+const claimGuestActivity = async (req, res, user) => {
+  try {
+    const guestId = readGuestId(req);
+
+    if (guestId) {
+      await Cart.mergeGuestCart(guestId, user._id);
+      await RecentlyViewed.mergeGuestHistory(guestId, user._id);
+      clearGuestCookie(res);
+    }
+
+    await Order.claimGuestOrders({
+      userId: user._id,
+      email: user.email,
+      emailVerified: user.isEmailVerified,
+      guestId
+    });
+  } catch (error) {
+    console.error('Claiming guest cart/orders/history failed:', error.message);
+  }
+};
+
+/**
+ * Email the user a link to verify their address
+ */
+const sendVerificationEmail = async (user) => {
+  const token = user.generateEmailVerificationToken();
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+  const verifyUrl = `${clientUrl}/verify-email?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your Shopora email address',
+    text: `Hi ${user.name},\n\nPlease verify your email address by opening the link below:\n${verifyUrl}\n\nThis link expires in ${process.env.JWT_EMAIL_EXPIRE || '24h'}.`
+  });
+};
 
 /**
  * @desc    Register new user
@@ -29,9 +134,11 @@ import { validationResult } from 'express-validator';
  * 1. Validate input (name, email, password)
  * 2. Check if user already exists
  * 3. Create new user (password automatically hashed by model pre-save hook)
- * 4. Generate access + refresh tokens
- * 5. Set refresh token in httpOnly cookie (more secure than localStorage)
- * 6. Return access token in response
+ * 4. Send email verification link
+ * 5. Merge guest cart / attach guest orders placed from this browser
+ * 6. Generate access + refresh tokens
+ * 7. Set refresh token in httpOnly cookie (more secure than localStorage)
+ * 8. Return access token in response
  */
 export const signup = async (req, res, next) => {
   try {
@@ -63,33 +170,18 @@ export const signup = async (req, res, next) => {
       phone: phone || ''
     });
 
-    // Generate tokens
-    const accessToken = user.generateAccessToken();
-    const refreshToken = user.generateRefreshToken();
+    // Send verification email (signup still succeeds if delivery fails,
+    // the user can request a new link via /verify-email/resend)
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.error('Verification email failed:', error.message);
+    }
 
-    // Set refresh token in httpOnly cookie (secure, not accessible via JavaScript)
-    res.cookie('refreshToken', refreshToken, {
-      httpOnly: true, // Prevents XSS attacks
-      secure: process.env.NODE_ENV === 'production', // HTTPS only in production
-      sameSite: 'strict', // CSRF protection
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-    });
+    await claimGuestActivity(req, res, user);
 
-    // Return user data and access token
-    res.status(201).json({
-      success: true,
-      data: {
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          phone: user.phone
-        },
-        accessToken
-      },
-      message: 'User registered successfully'
-    });
+    // Generate tokens and return user data + access token
+    await sendTokenResponse(req, res, user, 201, 'User registered successfully');
   } catch (error) {
     next(error); // Pass to error handler middleware
   }
@@ -101,13 +193,16 @@ export const signup = async (req, res, next) => {
  * @access  Public
  * 
  * FLOW:
- * 1. Validate input (email, password)
+ * 1. Validate input (email, password) - route is also throttled per IP
  * 2. Find user by email (include password field with select('+password'))
- * 3. Check if user exists
+ * 3. Check if user exists and account is not locked
  * 4. Compare password with hashed password using bcrypt
- * 5. Generate tokens
- * 6. Set refresh token in cookie
- * 7. Return access token
+ *    (failures count towards progressive account lockout)
+ * 5. If 2FA is enabled, return a challenge token instead (see verifyTwoFactorLogin)
+ * 6. Merge guest cart / attach guest orders
+ * 7. Generate tokens
+ * 8. Set refresh token in cookie
+ * 9. Return access token
  */
 export const login = async (req, res, next) => {
   try {
@@ -122,8 +217,9 @@ export const login = async (req, res, next) => {
 
     const { email, password } = req.body;
 
-    // Find user and include password (normally excluded by select: false)
-    const user = await User.findOne({ email }).select('+password');
+    // Find user and include password + lockout fields (normally excluded by select: false)
+    const user = await User.findOne({ email })
+      .select('+password +failedLoginAttempts +lockoutCount +lockUntil');
     
     if (!user) {
       return res.status(401).json({
@@ -132,42 +228,136 @@ export const login = async (req, res, next) => {
       });
     }
 
+    // Locked accounts are rejected before bcrypt runs, with the same answer
+    // as an unknown email - a distinct one would confirm the account exists
+    if (user.isLocked()) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid email or password'
+      });
+    }
+
     // Compare password using model method (uses bcrypt.compare)
     const isPasswordMatch = await user.comparePassword(password);
     
     if (!isPasswordMatch) {
+      await user.registerFailedLogin();
       return res.status(401).json({
         success: false,
         error: 'Invalid email or password'
       });
     }
 
-    // Generate tokens
-    const accessToken = user.generateAccessToken();
-    const refreshToken = user.generateRefreshToken();
+    // 2FA enabled: password was step one, client must now send a code
+    // to /login/2fa together with this short-lived challenge token
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        success: true,
+        data: {
+          twoFactorRequired: true,
+          challengeToken: user.generateTwoFactorChallengeToken()
+        },
+        message: 'Two-factor authentication code required'
+      });
+    }
 
-    // Set refresh token in httpOnly cookie
-    res.cookie('refreshToken', refreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-    });
+    await user.resetLoginAttempts();
+    await claimGuestActivity(req, res, user);
+
+    // Generate tokens and return user data + access token
+    await sendTokenResponse(req, res, user, 200, 'Login successful');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Complete login with 2FA code
+ * @route   POST /api/auth/login/2fa
+ * @access  Public (requires challenge token from /login)
+ * 
+ * Accepts either an authenticator `code` or a one-time `recoveryCode`.
+ * Wrong codes count towards account lockout, same as wrong passwords.
+ */
+export const verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const user = await User.findByTwoFactorChallengeToken(challengeToken);
+
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        error: 'Login challenge expired. Please login again.'
+      });
+    }
+
+    // Locked: same answer as a wrong code, even if this one is right
+    if (user.isLocked()) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid authentication code'
+      });
+    }
+
+    if (!user.verifyTwoFactorCode({ code, recoveryCode })) {
+      await user.registerFailedLogin();
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid authentication code'
+      });
+    }
+
+    // Persist used TOTP step / consumed recovery code, reset lockout counters
+    user.failedLoginAttempts = 0;
+    user.lockoutCount = 0;
+    user.lockUntil = undefined;
+    await user.save();
+
+    await claimGuestActivity(req, res, user);
+    await sendTokenResponse(req, res, user, 200, 'Login successful');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Start 2FA enrolment
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private
+ * 
+ * Returns the secret and otpauth:// URI (frontend renders it as a QR code).
+ * 2FA is not active until confirmed with a valid code.
+ */
+export const setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const { secret, otpauthUri } = user.startTwoFactorEnrolment();
+    await user.save();
 
-    // Return user data and access token
     res.status(200).json({
       success: true,
       data: {
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          phone: user.phone
-        },
-        accessToken
+        secret,
+        otpauthUri
       },
-      message: 'Login successful'
+      message: 'Scan the QR code with your authenticator app, then confirm with a code'
     });
   } catch (error) {
     next(error);
@@ -175,31 +365,56 @@ export const login = async (req, res, next) => {
 };
 
 /**
- * @desc    Get current logged in user
- * @route   GET /api/auth/me
- * @access  Private (requires authentication)
+ * @desc    Confirm 2FA enrolment
+ * @route   POST /api/auth/2fa/confirm
+ * @access  Private
  * 
- * WHY: Frontend needs to check if user is logged in and get user info
- * Used after page refresh to restore user session
+ * Enables 2FA and returns one-time recovery codes (shown only once).
  */
-export const getMe = async (req, res, next) => {
+export const confirmTwoFactor = async (req, res, next) => {
   try {
-    // req.user is set by protect middleware
-    const user = await User.findById(req.user.id);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id)
+      .select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactorSecret) {
+      return res.status(400).json({
+        success: false,
+        error: 'Start two-factor setup first'
+      });
+    }
+
+    if (!user.verifyTwoFactorCode({ code: req.body.code })) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid authentication code'
+      });
+    }
+
+    user.twoFactorEnabled = true;
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
 
     res.status(200).json({
       success: true,
       data: {
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          phone: user.phone,
-          address: user.address,
-          avatar: user.avatar
-        }
-      }
+        recoveryCodes
+      },
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.'
     });
   } catch (error) {
     next(error);
@@ -207,31 +422,691 @@ export const getMe = async (req, res, next) => {
 };
 
 /**
- * @desc    Logout user
- * @route   POST /api/auth/logout
+ * @desc    Regenerate 2FA recovery codes
+ * @route   POST /api/auth/2fa/recovery-codes
  * @access  Private
  * 
- * WHY: Clear refresh token cookie to invalidate session
+ * Requires a current authenticator code; old recovery codes stop working.
  */
-export const logout = async (req, res, next) => {
+export const regenerateRecoveryCodes = async (req, res, next) => {
   try {
-    res.cookie('refreshToken', '', {
-      httpOnly: true,
-      expires: new Date(0) // Expire immediately
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id)
+      .select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!user.verifyTwoFactorCode({ code: req.body.code })) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        recoveryCodes
+      },
+      message: 'New recovery codes generated'
     });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Disable 2FA
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private
+ * 
+ * Requires password + a 2FA code (or recovery code), so a stolen
+ * access token alone can't switch 2FA off.
+ */
+export const disableTwoFactor = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.user.id)
+      .select('+password +twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (user.requiresTwoFactor()) {
+      return res.status(403).json({
+        success: false,
+        error: 'Two-factor authentication is mandatory for staff accounts'
+      });
+    }
+
+    const isPasswordMatch = await user.comparePassword(password);
+    if (!isPasswordMatch || !user.verifyTwoFactorCode({ code, recoveryCode })) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid password or authentication code'
+      });
+    }
+
+    user.disableTwoFactor();
+    await user.save();
 
     res.status(200).json({
       success: true,
-      message: 'Logged out successfully'
+      message: 'Two-factor authentication disabled'
     });
   } catch (error) {
     next(error);
   }
 };
 
+/**
+ * @desc    Verify email address
+ * @route   POST /api/auth/verify-email
+ * @access  Public
+ * 
+ * WHY: Proves the user owns the email before we rely on it
+ * (order updates, password resets). Token comes from the emailed link.
+ */
+export const verifyEmail = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByEmailVerificationToken(req.body.token);
 
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Verification link is invalid or has expired'
+      });
+    }
 
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true;
+      await user.save();
 
+      // Email ownership is now proven: attach guest orders placed with it
+      await Order.claimGuestOrders({
+        userId: user._id,
+        email: user.email,
+        emailVerified: true
+      });
+    }
 
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
+/**
+ * @desc    Resend email verification link
+ * @route   POST /api/auth/verify-email/resend
+ * @access  Private
+ */
+export const resendVerificationEmail = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
 
+    if (user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email is already verified'
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Request password reset link
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ * 
+ * WHY: Lets shoppers recover their account by email.
+ * Always returns the same response so the endpoint can't be used
+ * to find out which emails are registered.
+ */
+export const forgotPassword = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+
+    if (user) {
+      const resetToken = user.createPasswordResetToken();
+      await user.save();
+
+      const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+      const resetUrl = `${clientUrl}/reset-password?token=${resetToken}`;
+
+      try {
+        await sendMail({
+          to: user.email,
+          subject: 'Reset your Shopora password',
+          text: `Hi ${user.name},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n${resetUrl}\n\nIf you didn't ask for this, you can ignore this email.`
+        });
+      } catch (error) {
+        // Don't leave a usable token behind if the user never got it. Still
+        // answer as below: an error here would reveal the account exists.
+        console.error('Password reset email failed:', error.message);
+        user.passwordResetToken = undefined;
+        user.passwordResetExpires = undefined;
+        await user.save();
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Reset password using emailed token
+ * @route   POST /api/auth/reset-password
+ * @access  Public
+ * 
+ * FLOW:
+ * 1. Find user by hashed token (must not be expired)
+ * 2. Set new password (hashed by model pre-save hook)
+ * 3. Clear reset token (single-use)
+ * 4. Revoke all refresh tokens so every device must login again
+ */
+export const resetPassword = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { token, password } = req.body;
+
+    const user = await User.findByPasswordResetToken(token);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password reset link is invalid or has expired'
+      });
+    }
+
+    user.password = password; // Will be hashed by model pre-save hook
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    await RefreshToken.revokeAllForUser(user._id, 'password-reset');
+    clearRefreshCookie(res);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successful. Please login with your new password.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get current logged in user
+ * @route   GET /api/auth/me
+ * @access  Private (requires authentication)
+ * 
+ * WHY: Frontend needs to check if user is logged in and get user info
+ * Used after page refresh to restore user session
+ */
+export const getMe = async (req, res, next) => {
+  try {
+    // req.user is set by protect middleware
+    const user = await User.findById(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          phone: user.phone,
+          address: user.address,
+          avatar: user.avatar,
+          addresses: user.addresses,
+          permissions: user.getPermissions(),
+          isEmailVerified: user.isEmailVerified,
+          twoFactorEnabled: user.twoFactorEnabled,
+          twoFactorRequired: user.requiresTwoFactor()
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update current user's profile
+ * @route   PUT /api/auth/me
+ * @access  Private
+ * 
+ * WHY: Customers manage their own name, phone and email. The avatar is
+ * only set by uploading (PUT /api/auth/me/avatar).
+ * Role and verification status can only be changed by admins.
+ * Changing email marks it unverified and sends a new verification link.
+ */
+export const updateMe = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { name, email, phone } = req.body;
+
+    const user = await User.findById(req.user.id);
+    const emailChanged = Boolean(email) && email !== user.email;
+
+    if (emailChanged) {
+      const emailTaken = await User.exists({ email, _id: { $ne: user._id } });
+      if (emailTaken) {
+        return res.status(400).json({
+          success: false,
+          error: 'User already exists with this email'
+        });
+      }
+      user.email = email;
+      user.isEmailVerified = false;
+    }
+
+    if (name) user.name = name;
+    if (phone !== undefined) user.phone = phone;
+
+    await user.save();
+
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (error) {
+        console.error('Verification email failed:', error.message);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          phone: user.phone,
+          address: user.address,
+          avatar: user.avatar,
+          addresses: user.addresses,
+          isEmailVerified: user.isEmailVerified
+        }
+      },
+      message: 'Profile updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Upload profile picture
+ * @route   PUT /api/auth/me/avatar
+ * @access  Private
+ * 
+ * Multipart upload, file in the `avatar` field (JPEG, PNG, WebP).
+ * The previous avatar is deleted from storage if this user uploaded it
+ * (User.avatarStorageUrl) - never whatever URL happens to be in `avatar`.
+ */
+export const uploadAvatar = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('+avatarStorageUrl');
+    const previousUpload = user.avatarStorageUrl;
+
+    user.avatar = await saveImage(req.files[0], 'avatars');
+    user.avatarStorageUrl = user.avatar;
+    await user.save();
+
+    if (previousUpload) {
+      await deleteImagesQuietly([previousUpload]);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Profile picture updated',
+      data: {
+        avatar: user.avatar
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove profile picture
+ * @route   DELETE /api/auth/me/avatar
+ * @access  Private
+ */
+export const deleteAvatar = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('+avatarStorageUrl');
+    const previousUpload = user.avatarStorageUrl;
+
+    user.avatar = '';
+    user.avatarStorageUrl = undefined;
+    await user.save();
+
+    if (previousUpload) {
+      await deleteImagesQuietly([previousUpload]);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Profile picture removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Change password
+ * @route   PUT /api/auth/me/password
+ * @access  Private
+ * 
+ * FLOW:
+ * 1. Verify current password with comparePassword
+ * 2. Set new password (hashed by model pre-save hook)
+ * 3. Revoke all other sessions (this device stays logged in)
+ * 4. Return a fresh access token for this device
+ */
+export const changePassword = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user.id).select('+password');
+
+    const isPasswordMatch = await user.comparePassword(currentPassword);
+    if (!isPasswordMatch) {
+      return res.status(401).json({
+        success: false,
+        error: 'Current password is incorrect'
+      });
+    }
+
+    user.password = newPassword; // Will be hashed by model pre-save hook
+    await user.save();
+
+    // Log out every other device; this session stays signed in. Access
+    // tokens from before sessions existed don't name one, so that device
+    // gets a new session instead of being logged out with the rest.
+    await RefreshToken.revokeAllForUser(user._id, 'password-change', req.sessionId);
+
+    let sessionId = req.sessionId;
+    if (!sessionId) {
+      const session = await RefreshToken.issue(user, {
+        userAgent: req.get('user-agent'),
+        ip: req.ip
+      });
+      setRefreshCookie(res, session.refreshToken);
+      sessionId = session.sessionId;
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        accessToken: user.generateAccessToken(sessionId)
+      },
+      message: 'Password changed successfully. Other devices have been logged out.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Refresh access token
+ * @route   POST /api/auth/refresh
+ * @access  Public (requires refreshToken cookie)
+ * 
+ * FLOW:
+ * 1. Read refresh token from httpOnly cookie
+ * 2. Rotate it (old token becomes unusable, new one issued in same family)
+ * 3. If an already-rotated token is presented, the whole family is revoked
+ * 4. Return new access token, set new refresh token cookie
+ */
+export const refresh = async (req, res, next) => {
+  try {
+    const token = req.cookies?.refreshToken;
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        error: 'Refresh token missing. Please login.'
+      });
+    }
+
+    const result = await RefreshToken.rotate(token, { ip: req.ip });
+
+    if (!result) {
+      clearRefreshCookie(res);
+      return res.status(401).json({
+        success: false,
+        error: 'Refresh token expired or revoked. Please login again.'
+      });
+    }
+
+    const { user } = result;
+    const accessToken = user.generateAccessToken(result.sessionId);
+
+    setRefreshCookie(res, result.refreshToken);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          phone: user.phone
+        },
+        accessToken
+      },
+      message: 'Token refreshed'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Logout user
+ * @route   POST /api/auth/logout
+ * @access  Private
+ * 
+ * WHY: Revoke the refresh token family server-side so the token cannot be
+ * used again, then clear the cookie
+ */
+export const logout = async (req, res, next) => {
+  try {
+    if (req.cookies?.refreshToken) {
+      await RefreshToken.revokeByToken(req.cookies.refreshToken, 'logout');
+    }
+
+    clearRefreshCookie(res);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List active sessions (devices) of current user
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ * 
+ * WHY: Lets users see where their account is logged in and spot
+ * devices they don't recognise.
+ */
+export const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await RefreshToken.findActiveSessions(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: {
+        sessions: sessions.map((session) => ({
+          id: session._id,
+          userAgent: session.userAgent,
+          ip: session.ip,
+          createdAt: session.createdAt,
+          lastSeenAt: session.lastSeenAt,
+          expiresAt: session.expiresAt,
+          current: session._id.toString() === req.sessionId
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Revoke one session (log a device out)
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @access  Private
+ */
+export const revokeSession = async (req, res, next) => {
+  try {
+    const session = await RefreshToken.findOne({
+      _id: req.params.sessionId,
+      user: req.user.id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    await session.revoke('session-revoked');
+
+    // Revoking the current session is a logout
+    if (session._id.toString() === req.sessionId) {
+      clearRefreshCookie(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Revoke all sessions except the current one
+ * @route   DELETE /api/auth/sessions
+ * @access  Private
+ */
+export const revokeOtherSessions = async (req, res, next) => {
+  try {
+    if (!req.sessionId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Current session unknown. Please login again.'
+      });
+    }
+
+    const result = await RefreshToken.revokeAllForUser(req.user.id, 'session-revoked', req.sessionId);
+
+    res.status(200).json({
+      success: true,
+      message: `${result.modifiedCount} other session(s) revoked`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,222 @@
+/**
+ * Brand Controller
+ *
+ * PROBLEM IT SOLVES: Brand list (filters, "Top Brands" strip), brand pages
+ * (logo, description and the brand's catalog) and brand management for the
+ * catalog team.
+ *
+ * REAL-WORLD: Nykaa/Sephora brand pages - /brands/lakme shows the brand
+ * story above a filterable list of its products.
+ */
+
+import { validationResult } from 'express-validator';
+import Brand from '../models/Brand.js';
+import Product from '../models/Product.js';
+import { getProductFacets } from '../utils/productFacets.js';
+import {
+  buildProductFilterParts,
+  mergeProductFilter,
+  buildProductSort,
+  buildPagination,
+  paginate,
+  createPaginationMeta
+} from '../utils/queryBuilder.js';
+
+const BRAND_FIELDS = ['name', 'slug', 'logo', 'description', 'featured'];
+
+const pickBrandFields = (body) =>
+  Object.fromEntries(BRAND_FIELDS.filter((field) => body[field] !== undefined).map((field) => [field, body[field]]));
+
+/**
+ * @desc    Get all brands
+ * @route   GET /api/products/brands
+ * @access  Public
+ *
+ * WHY: Frontend needs list of brands for filter dropdowns and the brand
+ * directory. `?featured=true` returns the homepage "Top Brands".
+ */
+export const getBrands = async (req, res, next) => {
+  try {
+    const filter = {};
+    if (req.query.featured !== undefined) {
+      filter.featured = req.query.featured === 'true';
+    }
+
+    const [brands, counts] = await Promise.all([
+      Brand.find(filter).select('name slug logo featured').sort({ name: 1 }).lean(),
+      Product.getListedCounts('brand')
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: brands.length,
+      data: {
+        brands: brands.map((brand) => ({ ...brand, productCount: counts.get(brand._id.toString()) || 0 }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get brand page: brand details, its products and filter facets
+ * @route   GET /api/products/brands/:slug
+ * @access  Public
+ *
+ * Products accept the same filters, sorting and pagination (page or cursor) as
+ * GET /api/products (the brand filter is fixed to this brand), and facets
+ * are counted the same way, without the brand facet.
+ */
+export const getBrandBySlug = async (req, res, next) => {
+  try {
+    const brand = await Brand.findBySlugOrId(req.params.slug);
+
+    if (!brand) {
+      return res.status(404).json({
+        success: false,
+        error: 'Brand not found'
+      });
+    }
+
+    const filterParts = await buildProductFilterParts({ ...req.query, brand: undefined });
+    filterParts.base.brand = brand._id;
+    const filter = mergeProductFilter(filterParts);
+    const sort = buildProductSort(req.query.sortBy, { search: req.query.search });
+    const paging = buildPagination(req.query.page, req.query.limit, req.query.cursor);
+
+    const [{ items: products, cursorInfo }, total, facets] = await Promise.all([
+      paginate(paging, sort, (options) =>
+        Product.findForListing(filter, options).then((found) =>
+          Product.populate(found, { path: 'category', select: 'name slug' })
+        )
+      ),
+      Product.countDocuments(filter),
+      getProductFacets(filterParts, { exclude: ['brand'] })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: products.length,
+      pagination: createPaginationMeta(paging.page, paging.limit, total, cursorInfo),
+      data: {
+        brand,
+        products,
+        facets
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create a brand
+ * @route   POST /api/products/brands
+ * @access  Private (products:write)
+ *
+ * Body: { name, slug?, logo?, description?, featured? }
+ */
+export const createBrand = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const brand = await Brand.create(pickBrandFields(req.body));
+
+    res.status(201).json({
+      success: true,
+      message: 'Brand created successfully',
+      data: {
+        brand
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a brand
+ * @route   PUT /api/products/brands/:id
+ * @access  Private (products:write)
+ *
+ * Renaming keeps the slug (brand page URLs stay stable) unless a new
+ * `slug` is sent as well.
+ */
+export const updateBrand = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const brand = await Brand.findById(req.params.id);
+
+    if (!brand) {
+      return res.status(404).json({
+        success: false,
+        error: 'Brand not found'
+      });
+    }
+
+    brand.set(pickBrandFields(req.body));
+    await brand.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Brand updated successfully',
+      data: {
+        brand
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a brand
+ * @route   DELETE /api/products/brands/:id
+ * @access  Private (products:write)
+ *
+ * Only brands without products (archived ones included) can be deleted.
+ */
+export const deleteBrand = async (req, res, next) => {
+  try {
+    const brand = await Brand.findById(req.params.id);
+
+    if (!brand) {
+      return res.status(404).json({
+        success: false,
+        error: 'Brand not found'
+      });
+    }
+
+    const products = await Product.countDocuments({ brand: brand._id });
+
+    if (products > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Brand has ${products} products. Move them to another brand first`
+      });
+    }
+
+    await brand.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Brand deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,21 +1,27 @@
 import Cart from '../models/Cart.js';
 import Product from '../models/Product.js';
 
+/**
+ * Cart owner filter: logged-in user's cart, or the guest cart from the
+ * signed guest cookie (set by identifyShopper middleware)
+ */
+const cartOwner = (req) => (req.user ? { user: req.user.id } : { guestId: req.guestId });
+
 /**
  * @desc    Get user's cart
  * @route   GET /api/cart
- * @access  Private
+ * @access  Public (user or guest cart)
  * 
  * REAL-WORLD: Cart is always loaded on cart page, checkout page.
  * Populate products to get full product details.
  */
 export const getCart = async (req, res, next) => {
   try {
-    let cart = await Cart.findOne({ user: req.user.id }).populate('items.product', 'name images price stock inStock');
+    let cart = await Cart.findOne(cartOwner(req)).populate('items.product', 'name images price stock inStock');
 
     if (!cart) {
-      // Create empty cart if doesn't exist
-      cart = await Cart.create({ user: req.user.id });
+      // Create empty cart if doesn't exist (guest carts are only saved once an item is added)
+      cart = req.user ? await Cart.create(cartOwner(req)) : new Cart(cartOwner(req));
     }
 
     res.status(200).json({
@@ -32,7 +38,10 @@ export const getCart = async (req, res, next) => {
 /**
  * @desc    Add item to cart
  * @route   POST /api/cart/items
- * @access  Private
+ * @access  Public (user or guest cart)
+ * 
+ * VARIANTS: Products with variants (shades, sizes) need `variantId`;
+ * each variant is its own cart line.
  * 
  * FLOW:
  * 1. Validate product exists and is in stock
@@ -45,7 +54,7 @@ export const getCart = async (req, res, next) => {
  */
 export const addToCart = async (req, res, next) => {
   try {
-    const { productId, quantity = 1 } = req.body;
+    const { productId, variantId, quantity = 1 } = req.body;
 
     if (!productId) {
       return res.status(400).json({
@@ -56,7 +65,7 @@ export const addToCart = async (req, res, next) => {
 
     // Validate product exists
     const product = await Product.findById(productId);
-    if (!product) {
+    if (!product || product.isArchived()) {
       return res.status(404).json({
         success: false,
         error: 'Product not found'
@@ -64,13 +73,13 @@ export const addToCart = async (req, res, next) => {
     }
 
     // Get or create cart
-    let cart = await Cart.findOne({ user: req.user.id });
+    let cart = await Cart.findOne(cartOwner(req));
     if (!cart) {
-      cart = await Cart.create({ user: req.user.id });
+      cart = await Cart.create(cartOwner(req));
     }
 
     // Add item to cart (handles quantity updates and stock checks)
-    await cart.addItem(productId, quantity);
+    await cart.addItem(productId, quantity, variantId);
 
     // Populate product details for response
     await cart.populate('items.product', 'name images price stock inStock');
@@ -84,7 +93,8 @@ export const addToCart = async (req, res, next) => {
     });
   } catch (error) {
     // Handle specific error messages from cart methods
-    if (error.message.includes('out of stock') || error.message.includes('available in stock')) {
+    if (error.message.includes('out of stock') || error.message.includes('available in stock') ||
+        error.message.includes('variant') || error.message.includes('no longer available')) {
       return res.status(400).json({
         success: false,
         error: error.message
@@ -96,8 +106,8 @@ export const addToCart = async (req, res, next) => {
 
 /**
  * @desc    Update cart item quantity
- * @route   PUT /api/cart/items/:productId
- * @access  Private
+ * @route   PUT /api/cart/items/:productId?variantId=
+ * @access  Public (user or guest cart)
  * 
  * REAL-WORLD: Users frequently update quantities in cart.
  * Must validate stock availability.
@@ -114,7 +124,7 @@ export const updateCartItem = async (req, res, next) => {
       });
     }
 
-    const cart = await Cart.findOne({ user: req.user.id });
+    const cart = await Cart.findOne(cartOwner(req));
     if (!cart) {
       return res.status(404).json({
         success: false,
@@ -123,7 +133,7 @@ export const updateCartItem = async (req, res, next) => {
     }
 
     // Update quantity (handles stock checks and removal if quantity is 0)
-    await cart.updateItemQuantity(productId, quantity);
+    await cart.updateItemQuantity(productId, quantity, req.query.variantId);
     await cart.populate('items.product', 'name images price stock inStock');
 
     res.status(200).json({
@@ -146,14 +156,14 @@ export const updateCartItem = async (req, res, next) => {
 
 /**
  * @desc    Remove item from cart
- * @route   DELETE /api/cart/items/:productId
- * @access  Private
+ * @route   DELETE /api/cart/items/:productId?variantId=
+ * @access  Public (user or guest cart)
  */
 export const removeFromCart = async (req, res, next) => {
   try {
     const { productId } = req.params;
 
-    const cart = await Cart.findOne({ user: req.user.id });
+    const cart = await Cart.findOne(cartOwner(req));
     if (!cart) {
       return res.status(404).json({
         success: false,
@@ -161,7 +171,7 @@ export const removeFromCart = async (req, res, next) => {
       });
     }
 
-    await cart.removeItem(productId);
+    await cart.removeItem(productId, req.query.variantId);
     await cart.populate('items.product', 'name images price stock inStock');
 
     res.status(200).json({
@@ -179,13 +189,13 @@ export const removeFromCart = async (req, res, next) => {
 /**
  * @desc    Clear entire cart
  * @route   DELETE /api/cart
- * @access  Private
+ * @access  Public (user or guest cart)
  * 
  * REAL-WORLD: Useful after order placement or user action.
  */
 export const clearCart = async (req, res, next) => {
   try {
-    const cart = await Cart.findOne({ user: req.user.id });
+    const cart = await Cart.findOne(cartOwner(req));
     if (!cart) {
       return res.status(404).json({
         success: false,
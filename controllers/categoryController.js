@@ -0,0 +1,182 @@
+/**
+ * Category Controller
+ *
+ * PROBLEM IT SOLVES: Lets the catalog team manage the category tree
+ * (add "Wellness", split Makeup into Lips/Eyes/Face) without a deploy,
+ * and gives the storefront the nested menu in one request.
+ *
+ * HOW IT WORKS: Categories are stored in models/Category.js; products point
+ * to their most specific category, and listing by a category includes all
+ * of its subcategories (see buildProductFilter).
+ */
+
+import { validationResult } from 'express-validator';
+import Category from '../models/Category.js';
+import Product from '../models/Product.js';
+
+const CATEGORY_FIELDS = ['name', 'slug', 'description', 'image', 'parent', 'sortOrder'];
+
+/**
+ * Pick the editable fields from the request body ("" parent = top level)
+ */
+const pickCategoryFields = (body) => {
+  const fields = {};
+  for (const field of CATEGORY_FIELDS) {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  }
+  if (fields.parent === '') {
+    fields.parent = null;
+  }
+  return fields;
+};
+
+/**
+ * @desc    Get the category tree
+ * @route   GET /api/products/categories
+ * @access  Public
+ *
+ * WHY: Frontend builds the category menu and filter sidebar from this.
+ * Each category has `children` and a `productCount` that includes its
+ * subcategories.
+ */
+export const getCategoryTree = async (req, res, next) => {
+  try {
+    const categories = await Category.getTree(await Product.getListedCounts('category'));
+
+    res.status(200).json({
+      success: true,
+      count: categories.length,
+      data: {
+        categories
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create a category
+ * @route   POST /api/products/categories
+ * @access  Private (products:write)
+ *
+ * Body: { name, slug?, description?, image?, parent?, sortOrder? }
+ * Leave out `parent` for a top-level category.
+ */
+export const createCategory = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const category = await Category.create(pickCategoryFields(req.body));
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      data: {
+        category
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a category (rename, move, reorder)
+ * @route   PUT /api/products/categories/:id
+ * @access  Private (products:write)
+ *
+ * Changing `parent` moves the category together with its subcategories;
+ * the products filed under them move along automatically.
+ */
+export const updateCategory = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        error: 'Category not found'
+      });
+    }
+
+    category.set(pickCategoryFields(req.body));
+    await category.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Category updated successfully',
+      data: {
+        category
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a category
+ * @route   DELETE /api/products/categories/:id
+ * @access  Private (products:write)
+ *
+ * WHY RESTRICTED: Only empty categories can be deleted - products
+ * (including archived ones, which can be restored) and subcategories must
+ * be moved first, so nothing is left pointing to a missing category.
+ */
+export const deleteCategory = async (req, res, next) => {
+  try {
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        error: 'Category not found'
+      });
+    }
+
+    const [children, products] = await Promise.all([
+      Category.countDocuments({ parent: category._id }),
+      Product.countDocuments({ category: category._id })
+    ]);
+
+    if (children > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Category has ${children} subcategories. Move or delete them first`
+      });
+    }
+
+    if (products > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Category has ${products} products. Move them to another category first`
+      });
+    }
+
+    await category.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Category deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
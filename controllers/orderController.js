@@ -16,11 +16,21 @@ import Order from '../models/Order.js';
 import Product from '../models/Product.js';
 import Cart from '../models/Cart.js';
 import { createPaymentIntent, verifyPaymentIntent } from '../utils/stripe.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { buildPagination, paginate, createPaginationMeta } from '../utils/queryBuilder.js';
 
 /**
  * @desc    Create new order
  * @route   POST /api/orders
- * @access  Private
+ * @access  Public (logged-in user or guest)
+ * 
+ * SHIPPING ADDRESS: `addressId` from the user's address book, or a raw
+ * `shippingAddress` object. If neither is sent, the default address is used.
+ * 
+ * GUEST CHECKOUT: Guests (no Bearer token, guest cookie cart) must send
+ * `email` and a raw `shippingAddress`. They can look the order up later
+ * with its order number + email, and it is attached to their account if
+ * they sign up/login with that email.
  * 
  * FLOW:
  * 1. Get user's cart
@@ -36,7 +46,44 @@ import { createPaymentIntent, verifyPaymentIntent } from '../utils/stripe.js';
  */
 export const createOrder = async (req, res, next) => {
   try {
-    const { shippingAddress, paymentMethod = 'stripe' } = req.body;
+    const { addressId, paymentMethod = 'stripe' } = req.body;
+    let { shippingAddress } = req.body;
+    const isGuest = !req.user;
+    const guestEmail = isGuest ? String(req.body.email || '').trim().toLowerCase() : undefined;
+
+    if (isGuest && process.env.GUEST_CHECKOUT_ENABLED === 'false') {
+      return res.status(401).json({
+        success: false,
+        error: 'Please login to place an order'
+      });
+    }
+
+    if (isGuest && !/^\S+@\S+\.\S+$/.test(guestEmail)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid email is required for guest checkout'
+      });
+    }
+
+    // Resolve shipping address from address book: explicit addressId,
+    // otherwise default address when no raw address was sent
+    if (!isGuest && (addressId || !shippingAddress)) {
+      const savedAddress = addressId
+        ? req.user.addresses.id(addressId)
+        : req.user.getDefaultAddress();
+
+      if (addressId && !savedAddress) {
+        return res.status(400).json({
+          success: false,
+          error: 'Address not found in your address book'
+        });
+      }
+
+      if (savedAddress) {
+        const { name, phone, address, city, state, zipCode, country } = savedAddress;
+        shippingAddress = { name, phone, address, city, state, zipCode, country };
+      }
+    }
 
     // Validate shipping address
     if (!shippingAddress || !shippingAddress.address || !shippingAddress.city) {
@@ -46,8 +93,8 @@ export const createOrder = async (req, res, next) => {
       });
     }
 
-    // Get user's cart
-    const cart = await Cart.findOne({ user: req.user.id });
+    // Get user's (or guest's) cart
+    const cart = await Cart.findOne(isGuest ? { guestId: req.guestId } : { user: req.user.id });
     
     if (!cart || cart.items.length === 0) {
       return res.status(400).json({
@@ -60,17 +107,21 @@ export const createOrder = async (req, res, next) => {
     for (const item of cart.items) {
       const product = await Product.findById(item.product);
       
-      if (!product) {
+      if (!product || product.isArchived()) {
         return res.status(404).json({
           success: false,
-          error: `Product ${item.name} not found`
+          error: `Product ${item.name} is no longer available`
         });
       }
 
-      if (!product.inStock || product.stock < item.quantity) {
+      const available = item.variant
+        ? product.variants.id(item.variant)?.stock || 0
+        : product.stock;
+
+      if (!product.inStock || available < item.quantity) {
         return res.status(400).json({
           success: false,
-          error: `Product ${item.name} is out of stock or insufficient quantity available`
+          error: `Product ${item.name}${item.variantLabel ? ` (${item.variantLabel})` : ''} is out of stock or insufficient quantity available`
         });
       }
     }
@@ -78,6 +129,9 @@ export const createOrder = async (req, res, next) => {
     // Create order items (snapshot of cart items)
     const orderItems = cart.items.map(item => ({
       product: item.product,
+      variant: item.variant,
+      variantLabel: item.variantLabel,
+      sku: item.sku,
       name: item.name,
       image: item.image,
       price: item.price, // Price snapshot from cart
@@ -86,7 +140,7 @@ export const createOrder = async (req, res, next) => {
 
     // Create order
     const order = new Order({
-      user: req.user.id,
+      ...(isGuest ? { guestEmail, guestId: req.guestId } : { user: req.user.id }),
       orderItems,
       shippingAddress,
       paymentMethod,
@@ -123,7 +177,8 @@ export const createOrder = async (req, res, next) => {
           'inr',
           {
             orderId: order._id.toString(),
-            userId: req.user.id.toString()
+            orderNumber: order.orderNumber,
+            ...(isGuest ? { guestEmail } : { userId: req.user.id.toString() })
           }
         );
 
@@ -158,22 +213,114 @@ export const createOrder = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Look up an order by order number + email
+ * @route   POST /api/orders/lookup
+ * @access  Public (rate limited)
+ * 
+ * WHY: Guests have no account to see their order history. Knowing both the
+ * random order number and the email acts as the credential.
+ */
+export const lookupOrder = async (req, res, next) => {
+  try {
+    const orderNumber = String(req.body.orderNumber || '').trim().toUpperCase();
+    const email = String(req.body.email || '').trim().toLowerCase();
+
+    if (!orderNumber || !email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Order number and email are required'
+      });
+    }
+
+    const order = await Order.findOne({ orderNumber })
+      .populate('user', 'email')
+      .populate('orderItems.product', 'name images');
+
+    const orderEmail = order && (order.user ? order.user.email : order.guestEmail);
+
+    // Same response for "no such order" and "wrong email" - don't leak which orders exist
+    if (!order || orderEmail !== email) {
+      return res.status(404).json({
+        success: false,
+        error: 'No order found with this order number and email'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        order: {
+          orderNumber: order.orderNumber,
+          orderItems: order.orderItems,
+          shippingAddress: order.shippingAddress,
+          paymentMethod: order.paymentMethod,
+          itemsPrice: order.itemsPrice,
+          shippingPrice: order.shippingPrice,
+          taxPrice: order.taxPrice,
+          totalPrice: order.totalPrice,
+          isPaid: order.isPaid,
+          paidAt: order.paidAt,
+          isDelivered: order.isDelivered,
+          deliveredAt: order.deliveredAt,
+          orderStatus: order.orderStatus,
+          createdAt: order.createdAt
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Get user's orders
  * @route   GET /api/orders
  * @access  Private
  * 
  * REAL-WORLD: Users need to see their order history.
+ * 
+ * PAGINATION (optional): send `limit` with `page` or `cursor`
+ * (pagination.nextCursor from the previous response) to page through long
+ * histories. Without any of them all orders are returned, as before.
  */
 export const getMyOrders = async (req, res, next) => {
   try {
-    const orders = await Order.find({ user: req.user.id })
-      .populate('orderItems.product', 'name images')
-      .sort({ createdAt: -1 }); // Newest first
+    const filter = { user: req.user.id };
+    const sort = { createdAt: -1 }; // Newest first
+    const paged = ['page', 'limit', 'cursor'].some((param) => req.query[param] !== undefined);
+
+    if (!paged) {
+      const orders = await Order.find(filter)
+        .populate('orderItems.product', 'name images')
+        .sort(sort);
+
+      return res.status(200).json({
+        success: true,
+        count: orders.length,
+        data: {
+          orders
+        }
+      });
+    }
+
+    const paging = buildPagination(req.query.page, req.query.limit, req.query.cursor);
+
+    const [{ items: orders, cursorInfo }, total] = await Promise.all([
+      paginate(paging, sort, ({ after, sort: pageSort, skip, limit }) =>
+        Order.find(after ? { $and: [filter, after] } : filter)
+          .populate('orderItems.product', 'name images')
+          .sort(pageSort)
+          .skip(skip)
+          .limit(limit)
+      ),
+      Order.countDocuments(filter)
+    ]);
 
     res.status(200).json({
       success: true,
       count: orders.length,
+      pagination: createPaginationMeta(paging.page, paging.limit, total, cursorInfo),
       data: {
         orders
       }
@@ -204,8 +351,8 @@ export const getOrderById = async (req, res, next) => {
       });
     }
 
-    // Make sure user owns the order or is admin
-    if (order.user.toString() !== req.user.id.toString() && req.user.role !== 'admin') {
+    // Make sure user owns the order or is staff allowed to view orders
+    if (order.user?.toString() !== req.user.id.toString() && !req.user.hasPermission(PERMISSIONS.ORDERS_READ)) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to access this order'
@@ -226,12 +373,12 @@ export const getOrderById = async (req, res, next) => {
 /**
  * @desc    Update order to paid
  * @route   PUT /api/orders/:id/pay
- * @access  Private
+ * @access  Private (order owner) / Guest (the guest cookie the order was placed from)
  * 
  * FLOW:
  * 1. Verify payment with Stripe
  * 2. Update order payment status
- * 3. Update product stock (decrease stock)
+ * 3. Update product stock (decrease stock, per variant)
  * 4. Mark order as processing
  * 
  * REAL-WORLD: Called after Stripe payment confirmation or via webhook.
@@ -249,6 +396,18 @@ export const updateOrderToPaid = async (req, res, next) => {
       });
     }
 
+    // Only the shopper who placed the order can confirm its payment
+    const isOwner = req.user
+      ? order.user?.toString() === req.user.id.toString()
+      : Boolean(order.guestId) && order.guestId === req.guestId;
+
+    if (!isOwner) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to access this order'
+      });
+    }
+
     if (order.isPaid) {
       return res.status(400).json({
         success: false,
@@ -273,7 +432,7 @@ export const updateOrderToPaid = async (req, res, next) => {
           id: paymentIntent.id,
           status: paymentIntent.status,
           update_time: new Date().toISOString(),
-          email_address: paymentIntent.receipt_email || req.user.email
+          email_address: paymentIntent.receipt_email || req.user?.email || order.guestEmail
         };
       } catch (error) {
         return res.status(400).json({
@@ -288,12 +447,11 @@ export const updateOrderToPaid = async (req, res, next) => {
     order.paidAt = new Date();
     order.orderStatus = 'processing';
 
-    // Update product stock (decrease stock)
+    // Update product stock (decrease stock - per variant for shades/sizes)
     for (const item of order.orderItems) {
       const product = await Product.findById(item.product);
       if (product) {
-        product.stock -= item.quantity;
-        product.inStock = product.stock > 0;
+        product.decrementStock(item.quantity, item.variant);
         await product.save();
       }
     }
@@ -313,9 +471,9 @@ export const updateOrderToPaid = async (req, res, next) => {
 };
 
 /**
- * @desc    Update order status (Admin only)
+ * @desc    Update order status (Staff)
  * @route   PUT /api/orders/:id/status
- * @access  Private/Admin
+ * @access  Private (orders:update-status)
  * 
  * REAL-WORLD: Admins need to update order status during fulfillment.
  */
@@ -364,15 +522,18 @@ export const updateOrderStatus = async (req, res, next) => {
 };
 
 /**
- * @desc    Get all orders (Admin only)
+ * @desc    Get all orders (Staff)
  * @route   GET /api/orders/admin/all
- * @access  Private/Admin
+ * @access  Private (orders:read)
  * 
  * REAL-WORLD: Admin dashboard needs to see all orders.
+ * 
+ * Paginated by `page` or by `cursor` (pagination.nextCursor/prevCursor,
+ * stable while new orders keep arriving); `limit` max 100.
  */
 export const getAllOrders = async (req, res, next) => {
   try {
-    const { status, page = 1, limit = 10 } = req.query;
+    const { status } = req.query;
 
     // Build filter
     const filter = {};
@@ -381,23 +542,27 @@ export const getAllOrders = async (req, res, next) => {
     }
 
     // Pagination
-    const skip = (Number(page) - 1) * Number(limit);
-
-    const orders = await Order.find(filter)
-      .populate('user', 'name email')
-      .populate('orderItems.product', 'name images')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(Number(limit));
-
-    const total = await Order.countDocuments(filter);
+    const paging = buildPagination(req.query.page, req.query.limit, req.query.cursor);
+
+    const [{ items: orders, cursorInfo }, total] = await Promise.all([
+      paginate(paging, { createdAt: -1 }, ({ after, sort, skip, limit }) =>
+        Order.find(after ? { $and: [filter, after] } : filter)
+          .populate('user', 'name email')
+          .populate('orderItems.product', 'name images')
+          .sort(sort)
+          .skip(skip)
+          .limit(limit)
+      ),
+      Order.countDocuments(filter)
+    ]);
 
     res.status(200).json({
       success: true,
       count: orders.length,
       total,
-      page: Number(page),
-      pages: Math.ceil(total / Number(limit)),
+      page: paging.page,
+      pages: Math.ceil(total / paging.limit),
+      pagination: createPaginationMeta(paging.page, paging.limit, total, cursorInfo),
       data: {
         orders
       }
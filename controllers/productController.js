@@ -15,14 +15,98 @@
  */
 
 import Product from '../models/Product.js';
+import Cart from '../models/Cart.js';
+import Wishlist from '../models/Wishlist.js';
+import User from '../models/User.js';
+import RecentlyViewed from '../models/RecentlyViewed.js';
 import { validationResult } from 'express-validator';
+import { sendMail } from '../utils/mailer.js';
+import { getProductFacets } from '../utils/productFacets.js';
+import { getSuggestions } from '../utils/suggestIndex.js';
+import { buildProductComparison } from '../utils/productComparison.js';
 import {
-  buildProductFilter,
+  buildProductFilterParts,
+  mergeProductFilter,
   buildProductSort,
   buildPagination,
+  paginate,
   createPaginationMeta
 } from '../utils/queryBuilder.js';
 
+// Category with its parents, for product page breadcrumbs (Makeup > Lips > Lipstick)
+const CATEGORY_BREADCRUMB = {
+  path: 'category',
+  select: 'name slug ancestors',
+  populate: { path: 'ancestors', select: 'name slug' }
+};
+
+// Fields PUT /api/products/:id may change. Archiving, slug history and
+// reviews/ratings have their own endpoints and are never set from the body.
+const PRODUCT_FIELDS = [
+  'name', 'slug', 'description', 'price', 'originalPrice', 'discount', 'category', 'brand', 'images',
+  'stock', 'inStock', 'tags', 'featured', 'bestSeller', 'specifications', 'variantOptions', 'variants'
+];
+
+/**
+ * Pick the editable fields from the request body
+ */
+const pickProductFields = (body) => {
+  const fields = {};
+  for (const field of PRODUCT_FIELDS) {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  }
+  return fields;
+};
+
+/**
+ * Email users whose cart/wishlist contained a product that was just archived
+ */
+const notifyProductRemoved = async (product, { cartUserIds, wishlistUserIds }) => {
+  const inCart = new Set(cartUserIds.map(String));
+  const inWishlist = new Set(wishlistUserIds.map(String));
+
+  await product.populate('brand', 'name');
+  const users = await User.find({ _id: { $in: [...new Set([...inCart, ...inWishlist])] } }).select('name email');
+
+  for (const user of users) {
+    const places = [inCart.has(user.id) && 'cart', inWishlist.has(user.id) && 'wishlist']
+      .filter(Boolean)
+      .join(' and ');
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: `${product.name} is no longer available`,
+        text: `Hi ${user.name},\n\n${product.brand.name} ${product.name} is no longer available on Shopora, so we removed it from your ${places}.\n\nSorry for the inconvenience.`
+      });
+    } catch (error) {
+      console.error(`Archived product email to ${user.email} failed:`, error.message);
+    }
+  }
+};
+
+// Recently viewed history owner: the logged-in user or the guest cookie (identifyViewer)
+const getViewer = (req) => (req.user ? { user: req.user._id } : req.guestId ? { guestId: req.guestId } : null);
+
+/**
+ * Record a product page view in the shopper's recently viewed list
+ * 
+ * Runs in the background - a failed write must not break the product page.
+ * Archived products aren't recorded (they're hidden from the list anyway).
+ */
+const recordProductView = (req, product) => {
+  const owner = getViewer(req);
+  if (!owner || product.archivedAt) {
+    return;
+  }
+
+  RecentlyViewed.recordView(owner, product._id).catch((error) => {
+    console.error('Recording product view failed:', error.message);
+  });
+};
+
 /**
  * @desc    Get all products with filtering, sorting, and pagination
  * @route   GET /api/products
@@ -30,16 +114,27 @@ import {
  * 
  * QUERY PARAMETERS:
  * - search: Text search in name/description
- * - category: Filter by category
+ * - category: Filter by category slugs or ids (includes their subcategories)
  * - brand: Filter by brand(s)
  * - minPrice, maxPrice: Price range filter
  * - inStock: Filter by stock availability
  * - featured: Filter featured products
  * - bestSeller: Filter bestsellers
  * - rating: Minimum rating filter
- * - sortBy: Sort option (priceLow, priceHigh, rating, newest, name)
+ * - tags, discount, originalPrice, createdAt/createdAfter, updatedAt/updatedAfter,
+ *   spec[<name>]: Field filters like discount[gte]=20 or spec[Finish]=matte
+ *   (whitelisted fields and operators - see buildProductFilterParts)
+ * - sortBy: Sort option (relevance, priceLow, priceHigh, rating, newest, name)
+ *   Default: relevance when searching, otherwise newest
  * - page: Page number (default: 1)
  * - limit: Items per page (default: 10)
+ * - cursor: pagination.nextCursor/prevCursor from a previous response
+ *   (instead of page - for infinite scroll; keep the same filters and sortBy)
+ * - facets: "false" to leave out the facet counts
+ * 
+ * FACETS: data.facets has counts for category, brand, price ranges, rating,
+ * discount and inStock; each facet ignores its own filter, so the sidebar
+ * keeps showing the alternatives (see utils/productFacets.js).
  * 
  * REAL-WORLD: This is how e-commerce sites like Nykaa handle product listings.
  * All filtering/sorting happens server-side for performance and data consistency.
@@ -47,27 +142,167 @@ import {
 export const getProducts = async (req, res, next) => {
   try {
     // Build filter, sort, and pagination from query params
-    const filter = buildProductFilter(req.query);
-    const sort = buildProductSort(req.query.sortBy);
-    const { page, limit, skip } = buildPagination(req.query.page, req.query.limit);
+    const filterParts = await buildProductFilterParts(req.query);
+    const filter = mergeProductFilter(filterParts);
+    const sort = buildProductSort(req.query.sortBy, { search: req.query.search });
+    const paging = buildPagination(req.query.page, req.query.limit, req.query.cursor);
+
+    // Products (without reviews - too large for list view), total count
+    // (for pagination) and sidebar facets in parallel
+    const [{ items: products, cursorInfo }, total, facets] = await Promise.all([
+      paginate(paging, sort, (options) =>
+        Product.findForListing(filter, options).then((found) =>
+          Product.populate(found, [
+            { path: 'category', select: 'name slug' },
+            { path: 'brand', select: 'name slug' }
+          ])
+        )
+      ),
+      Product.countDocuments(filter),
+      req.query.facets === 'false' ? null : getProductFacets(filterParts)
+    ]);
+
+    // Build pagination metadata (with next/prev cursors)
+    const pagination = createPaginationMeta(paging.page, paging.limit, total, cursorInfo);
 
-    // Execute query
-    const products = await Product.find(filter)
-      .sort(sort)
-      .skip(skip)
-      .limit(limit)
-      .select('-reviews'); // Exclude reviews from list view (too large)
+    res.status(200).json({
+      success: true,
+      count: products.length,
+      pagination,
+      data: {
+        products,
+        ...(facets && { facets })
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    // Get total count for pagination
-    const total = await Product.countDocuments(filter);
+/**
+ * @desc    Search suggestions (autocomplete)
+ * @route   GET /api/products/suggest?q=lipst
+ * @access  Public
+ * 
+ * QUERY PARAMETERS:
+ * - q: What the customer typed so far (partial words and typos are fine)
+ * - limit: Max suggestions per type (default: 5, max: 10)
+ * 
+ * Returns ranked products, brands, categories and tags from an in-memory
+ * index (utils/suggestIndex.js), so it's cheap enough to call per keystroke.
+ */
+export const getSearchSuggestions = async (req, res, next) => {
+  try {
+    const query = String(req.query.q || '').slice(0, 100);
+    const limit = Math.min(10, Math.max(1, Number(req.query.limit) || 5));
+
+    const suggestions = await getSuggestions(query, { limit });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        query,
+        ...suggestions
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Compare products side by side
+ * @route   GET /api/products/compare?ids=a,b,c
+ * @access  Public
+ * 
+ * Takes 2 to COMPARE_MAX_PRODUCTS (default 4) product ids, comma separated
+ * or repeated. Returns the products in the order given, their price,
+ * discount, rating and stock, and the union of their specifications with
+ * spelling variants merged ("Skin Type" = "skinType"). Every row has
+ * `differs` so the frontend can highlight differences
+ * (see utils/productComparison.js).
+ */
+export const compareProducts = async (req, res, next) => {
+  try {
+    const maxProducts = Number(process.env.COMPARE_MAX_PRODUCTS) || 4;
+    const ids = [...new Set(
+      (Array.isArray(req.query.ids) ? req.query.ids : [req.query.ids])
+        .filter((value) => typeof value === 'string')
+        .flatMap((value) => value.split(','))
+        .map((value) => value.trim())
+        .filter(Boolean)
+    )];
+
+    if (ids.length < 2 || ids.length > maxProducts) {
+      return res.status(400).json({
+        success: false,
+        error: `Select between 2 and ${maxProducts} products to compare`
+      });
+    }
 
-    // Build pagination metadata
-    const pagination = createPaginationMeta(page, limit, total);
+    const invalid = ids.filter((id) => !/^[0-9a-f]{24}$/i.test(id));
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid product id: ${invalid.join(', ')}`
+      });
+    }
+
+    const found = await Product.find({ _id: { $in: ids }, archivedAt: null })
+      .select('-reviews')
+      .populate('category', 'name slug')
+      .populate('brand', 'name slug');
+
+    const byId = new Map(found.map((product) => [product._id.toString(), product]));
+    const missing = ids.filter((id) => !byId.has(id.toLowerCase()));
+
+    if (missing.length > 0) {
+      return res.status(404).json({
+        success: false,
+        error: `Products not found: ${missing.join(', ')}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      count: ids.length,
+      data: buildProductComparison(ids.map((id) => byId.get(id.toLowerCase())))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the shopper's recently viewed products
+ * @route   GET /api/products/recently-viewed
+ * @access  Public (user or guest cookie)
+ * 
+ * Newest first, each product once. Archived and deleted products are left
+ * out. A guest's history moves to their account when they log in.
+ */
+export const getRecentlyViewed = async (req, res, next) => {
+  try {
+    const owner = getViewer(req);
+    const history = owner
+      ? await RecentlyViewed.findOne(owner).populate({
+        path: 'items.product',
+        match: { archivedAt: null },
+        select: 'name slug brand category images price originalPrice discount rating numReviews inStock',
+        populate: [
+          { path: 'category', select: 'name slug' },
+          { path: 'brand', select: 'name slug' }
+        ]
+      })
+      : null;
+
+    const products = (history?.items || [])
+      .filter((item) => item.product)
+      .map((item) => ({ ...item.product.toObject(), viewedAt: item.viewedAt }));
 
     res.status(200).json({
       success: true,
       count: products.length,
-      pagination,
       data: {
         products
       }
@@ -83,10 +318,17 @@ export const getProducts = async (req, res, next) => {
  * @access  Public
  * 
  * WHY: Product detail pages need full product info including reviews.
+ * Archived products are still returned (with archivedAt set) so links from
+ * order history keep working; the frontend shows them as unavailable.
+ * 
+ * The view is added to the shopper's recently viewed products (user or
+ * guest cookie - see GET /api/products/recently-viewed).
  */
 export const getProductById = async (req, res, next) => {
   try {
-    const product = await Product.findById(req.params.id);
+    const product = await Product.findById(req.params.id)
+      .populate(CATEGORY_BREADCRUMB)
+      .populate('brand', 'name slug logo');
 
     if (!product) {
       return res.status(404).json({
@@ -95,6 +337,8 @@ export const getProductById = async (req, res, next) => {
       });
     }
 
+    recordProductView(req, product);
+
     res.status(200).json({
       success: true,
       data: {
@@ -106,13 +350,58 @@ export const getProductById = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get single product by slug
+ * @route   GET /api/products/slug/:slug
+ * @access  Public
+ * 
+ * WHY: SEO-friendly product URLs (/products/lakme-absolute-kajal).
+ * A slug from before a rename answers 301 with the current URL, so shared
+ * links and search engine results keep working.
+ */
+export const getProductBySlug = async (req, res, next) => {
+  try {
+    const slug = req.params.slug.toLowerCase();
+    const product = await Product.findOne({ slug })
+      .populate(CATEGORY_BREADCRUMB)
+      .populate('brand', 'name slug logo');
+
+    if (product) {
+      recordProductView(req, product);
+      return res.status(200).json({
+        success: true,
+        data: {
+          product
+        }
+      });
+    }
+
+    const renamed = await Product.findOne({ previousSlugs: slug }).select('slug');
+
+    if (renamed) {
+      return res.redirect(301, `${req.baseUrl}/slug/${renamed.slug}`);
+    }
+
+    res.status(404).json({
+      success: false,
+      error: 'Product not found'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Create new product
  * @route   POST /api/products
- * @access  Private/Admin
+ * @access  Private (products:write)
  * 
  * REAL-WORLD: Only admins can create products in production.
  * This endpoint handles product creation from admin dashboard.
+ * 
+ * VARIANTS: Send `variantOptions` (e.g. [{ name: 'shade', values: [...] }])
+ * and `variants` (sku, options, price, originalPrice, stock, swatch).
+ * Product price/stock are then derived from the variants.
  */
 export const createProduct = async (req, res, next) => {
   try {
@@ -125,7 +414,7 @@ export const createProduct = async (req, res, next) => {
     }
 
     // Calculate discount if originalPrice provided
-    const { name, description, price, originalPrice, category, brand, images, stock, tags } = req.body;
+    const { name, description, price, originalPrice, category, brand, images, stock, tags, variantOptions, variants } = req.body;
     
     let discount = 0;
     if (originalPrice && originalPrice > price) {
@@ -144,6 +433,9 @@ export const createProduct = async (req, res, next) => {
       stock: stock || 0,
       inStock: (stock || 0) > 0,
       tags: tags || [],
+      slug: req.body.slug, // Optional - generated from brand name + name when empty
+      variantOptions: variantOptions || [],
+      variants: variants || [],
       featured: req.body.featured || false,
       bestSeller: req.body.bestSeller || false
     });
@@ -163,11 +455,14 @@ export const createProduct = async (req, res, next) => {
 /**
  * @desc    Update product
  * @route   PUT /api/products/:id
- * @access  Private/Admin
+ * @access  Private (products:write)
+ * 
+ * Only catalog fields are updated (see PRODUCT_FIELDS): archive/restore via
+ * DELETE /:id and POST /:id/restore, reviews via POST /:id/reviews.
  */
 export const updateProduct = async (req, res, next) => {
   try {
-    let product = await Product.findById(req.params.id);
+    const product = await Product.findById(req.params.id);
 
     if (!product) {
       return res.status(404).json({
@@ -176,29 +471,27 @@ export const updateProduct = async (req, res, next) => {
       });
     }
 
+    const fields = pickProductFields(req.body);
+
     // Calculate discount if price/originalPrice changed
-    const { price, originalPrice } = req.body;
+    const { price, originalPrice } = fields;
     if (price || originalPrice) {
       const finalPrice = price || product.price;
       const finalOriginalPrice = originalPrice || product.originalPrice || product.price;
       if (finalOriginalPrice > finalPrice) {
-        req.body.discount = Math.round(((finalOriginalPrice - finalPrice) / finalOriginalPrice) * 100);
+        fields.discount = Math.round(((finalOriginalPrice - finalPrice) / finalOriginalPrice) * 100);
       }
     }
 
     // Update stock availability
-    if (req.body.stock !== undefined) {
-      req.body.inStock = req.body.stock > 0;
+    if (fields.stock !== undefined) {
+      fields.inStock = fields.stock > 0;
     }
 
-    product = await Product.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      {
-        new: true, // Return updated document
-        runValidators: true // Run schema validations
-      }
-    );
+    // save() rather than findByIdAndUpdate so variant validation and
+    // the derived price/stock summary run
+    product.set(fields);
+    await product.save();
 
     res.status(200).json({
       success: true,
@@ -213,9 +506,18 @@ export const updateProduct = async (req, res, next) => {
 };
 
 /**
- * @desc    Delete product
+ * @desc    Archive product (soft delete)
  * @route   DELETE /api/products/:id
- * @access  Private/Admin
+ * @access  Private (products:write)
+ * 
+ * WHY NOT A HARD DELETE: Orders, reviews and the dashboard's top products
+ * report reference the product. Archiving hides it from the storefront
+ * and blocks new purchases while keeping those references intact.
+ * 
+ * FLOW:
+ * 1. Mark product as archived
+ * 2. Remove it from all carts and wishlists
+ * 3. Email affected users (in the background)
  */
 export const deleteProduct = async (req, res, next) => {
   try {
@@ -228,11 +530,107 @@ export const deleteProduct = async (req, res, next) => {
       });
     }
 
-    await Product.findByIdAndDelete(req.params.id);
+    if (product.isArchived()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Product is already archived'
+      });
+    }
+
+    product.archivedAt = new Date();
+    product.archivedBy = req.user?._id; // Not set when archived through an API key
+    await product.save();
+
+    const cartUserIds = await Cart.removeProductFromAll(product._id);
+    const wishlistUserIds = await Wishlist.removeProductFromAll(product._id);
+
+    // Don't make the admin wait for the emails
+    notifyProductRemoved(product, { cartUserIds, wishlistUserIds }).catch((error) =>
+      console.error('Archived product notification failed:', error.message)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Product archived successfully',
+      data: {
+        removedFromCarts: cartUserIds.length,
+        removedFromWishlists: wishlistUserIds.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Restore an archived product
+ * @route   POST /api/products/:id/restore
+ * @access  Private (products:write)
+ * 
+ * Products are not put back into carts/wishlists they were removed from.
+ */
+export const restoreProduct = async (req, res, next) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: 'Product not found'
+      });
+    }
+
+    if (!product.isArchived()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Product is not archived'
+      });
+    }
+
+    product.archivedAt = null;
+    product.archivedBy = undefined;
+    await product.save();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        product
+      },
+      message: 'Product restored successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get archived products
+ * @route   GET /api/products/archived
+ * @access  Private (products:write)
+ */
+export const getArchivedProducts = async (req, res, next) => {
+  try {
+    const { page, limit, skip } = buildPagination(req.query.page, req.query.limit);
+    const filter = { archivedAt: { $ne: null } };
+
+    const products = await Product.find(filter)
+      .populate('archivedBy', 'name email')
+      .populate('category', 'name slug')
+      .populate('brand', 'name slug')
+      .sort({ archivedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .select('-reviews');
+
+    const total = await Product.countDocuments(filter);
 
     res.status(200).json({
       success: true,
-      message: 'Product deleted successfully'
+      count: products.length,
+      pagination: createPaginationMeta(page, limit, total),
+      data: {
+        products
+      }
     });
   } catch (error) {
     next(error);
@@ -314,50 +712,6 @@ export const createProductReview = async (req, res, next) => {
   }
 };
 
-/**
- * @desc    Get product categories
- * @route   GET /api/products/categories
- * @access  Public
- * 
- * WHY: Frontend needs list of categories for filter dropdowns.
- */
-export const getCategories = async (req, res, next) => {
-  try {
-    const categories = await Product.getCategories();
-    res.status(200).json({
-      success: true,
-      count: categories.length,
-      data: {
-        categories
-      }
-    });
-  } catch (error) {
-    next(error);
-  }
-};
-
-/**
- * @desc    Get product brands
- * @route   GET /api/products/brands
- * @access  Public
- * 
- * WHY: Frontend needs list of brands for filter dropdowns.
- */
-export const getBrands = async (req, res, next) => {
-  try {
-    const brands = await Product.getBrands();
-    res.status(200).json({
-      success: true,
-      count: brands.length,
-      data: {
-        brands: brands.sort() // Sort alphabetically
-      }
-    });
-  } catch (error) {
-    next(error);
-  }
-};
-
 /**
  * @desc    Get featured products
  * @route   GET /api/products/featured
@@ -368,9 +722,11 @@ export const getBrands = async (req, res, next) => {
 export const getFeaturedProducts = async (req, res, next) => {
   try {
     const limit = Number(req.query.limit) || 8;
-    const products = await Product.find({ featured: true })
+    const products = await Product.find({ featured: true, archivedAt: null })
       .limit(limit)
       .sort({ createdAt: -1 })
+      .populate('category', 'name slug')
+      .populate('brand', 'name slug')
       .select('-reviews');
 
     res.status(200).json({
@@ -393,9 +749,11 @@ export const getFeaturedProducts = async (req, res, next) => {
 export const getBestsellerProducts = async (req, res, next) => {
   try {
     const limit = Number(req.query.limit) || 8;
-    const products = await Product.find({ bestSeller: true })
+    const products = await Product.find({ bestSeller: true, archivedAt: null })
       .limit(limit)
       .sort({ rating: -1, numReviews: -1 })
+      .populate('category', 'name slug')
+      .populate('brand', 'name slug')
       .select('-reviews');
 
     res.status(200).json({
@@ -0,0 +1,173 @@
+/**
+ * Product Image Controller
+ *
+ * PROBLEM IT SOLVES: Admins used to paste image URLs into createProduct.
+ * These endpoints upload images (Cloudinary or local disk, see
+ * utils/imageStorage.js) and manage the gallery order - the first image is
+ * the one shown in listings, carts and orders.
+ *
+ * REAL-WORLD: Seller panels on Nykaa/Amazon upload images to a CDN and only
+ * keep the URLs on the product.
+ */
+
+import { validationResult } from 'express-validator';
+import Product from '../models/Product.js';
+import { saveImage, deleteImagesQuietly } from '../utils/imageStorage.js';
+
+// Also caps the files accepted per upload request (see productRoutes)
+export const getMaxProductImages = () => Number(process.env.PRODUCT_MAX_IMAGES) || 10;
+
+/**
+ * @desc    Upload product images (appended to the gallery)
+ * @route   POST /api/products/:id/images
+ * @access  Private (products:write)
+ *
+ * Multipart upload, files in the `images` field (JPEG, PNG, WebP).
+ */
+export const uploadProductImages = async (req, res, next) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: 'Product not found'
+      });
+    }
+
+    const maxImages = getMaxProductImages();
+    if (product.images.length + req.files.length > maxImages) {
+      return res.status(400).json({
+        success: false,
+        error: `A product can have at most ${maxImages} images (currently ${product.images.length})`
+      });
+    }
+
+    // Upload one by one so a failure can clean up what was already stored
+    const urls = [];
+    try {
+      for (const file of req.files) {
+        urls.push(await saveImage(file, 'products'));
+      }
+    } catch (error) {
+      await deleteImagesQuietly(urls);
+      throw error;
+    }
+
+    product.images.push(...urls);
+    await product.save();
+
+    res.status(201).json({
+      success: true,
+      message: `${urls.length} image(s) uploaded`,
+      data: {
+        images: product.images
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Reorder product images
+ * @route   PUT /api/products/:id/images/order
+ * @access  Private (products:write)
+ *
+ * Body: { images: [...] } - the current image URLs in the new order.
+ */
+export const reorderProductImages = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: 'Product not found'
+      });
+    }
+
+    const { images } = req.body;
+    const current = [...product.images].sort();
+    const requested = [...images].sort();
+
+    if (current.length !== requested.length || current.some((url, index) => url !== requested[index])) {
+      return res.status(400).json({
+        success: false,
+        error: 'Images must contain exactly the current product images, in the new order'
+      });
+    }
+
+    product.images = images;
+    await product.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Images reordered',
+      data: {
+        images: product.images
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a product image
+ * @route   DELETE /api/products/:id/images?url=<image url>
+ * @access  Private (products:write)
+ *
+ * Removes the image from the gallery and from storage (if we stored it).
+ */
+export const deleteProductImage = async (req, res, next) => {
+  try {
+    const { url } = req.query;
+
+    if (!url) {
+      return res.status(400).json({
+        success: false,
+        error: 'Image url is required'
+      });
+    }
+
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: 'Product not found'
+      });
+    }
+
+    if (!product.images.includes(url)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Image not found on this product'
+      });
+    }
+
+    product.images = product.images.filter((image) => image !== url);
+    await product.save();
+
+    await deleteImagesQuietly([url]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Image deleted',
+      data: {
+        images: product.images
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
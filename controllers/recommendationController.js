@@ -0,0 +1,112 @@
+/**
+ * Recommendation Controller
+ *
+ * PROBLEM IT SOLVES: The product page had nothing to cross-sell. Two
+ * carousels under the product details:
+ * - Related products: similar products from the catalog (same category,
+ *   brand, tags, price range) - works for brand-new products too
+ * - Frequently bought together: products customers actually ordered with
+ *   this one, precomputed from order history (models/BoughtTogether.js)
+ *
+ * REAL-WORLD: Amazon's "Frequently bought together" and "Products related
+ * to this item", Nykaa's "You may also like".
+ */
+
+import Product from '../models/Product.js';
+import BoughtTogether from '../models/BoughtTogether.js';
+
+const RECOMMENDATION_FIELDS = 'name slug brand category images price originalPrice discount rating numReviews inStock';
+
+const getLimit = (value) => Math.min(20, Math.max(1, Number(value) || 8));
+
+/**
+ * @desc    Get related products
+ * @route   GET /api/products/:id/related
+ * @access  Public
+ *
+ * QUERY PARAMETERS:
+ * - limit: Max products (default: 8, max: 20)
+ *
+ * Scored by shared category, brand, tags and price band (see Product.findRelated).
+ */
+export const getRelatedProducts = async (req, res, next) => {
+  try {
+    const product = await Product.findById(req.params.id).select('category brand tags price');
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: 'Product not found'
+      });
+    }
+
+    const products = await Product.findRelated(product, { limit: getLimit(req.query.limit) })
+      .then((found) => Product.populate(found, [
+        { path: 'category', select: 'name slug' },
+        { path: 'brand', select: 'name slug' }
+      ]));
+
+    res.status(200).json({
+      success: true,
+      count: products.length,
+      data: {
+        products
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get products frequently bought together with a product
+ * @route   GET /api/products/:id/bought-together
+ * @access  Public
+ *
+ * QUERY PARAMETERS:
+ * - limit: Max products (default: 8, max: 20)
+ *
+ * Each product has `orders`: how many recent orders contained both.
+ * Empty until the batch job has run (npm run refresh:bought-together) and
+ * for products without enough orders - `computedAt` says when the data is from.
+ * Archived products are left out.
+ */
+export const getBoughtTogether = async (req, res, next) => {
+  try {
+    const [exists, entry] = await Promise.all([
+      Product.exists({ _id: req.params.id }),
+      BoughtTogether.findOne({ product: req.params.id }).populate({
+        path: 'items.product',
+        match: { archivedAt: null },
+        select: RECOMMENDATION_FIELDS,
+        populate: [
+          { path: 'category', select: 'name slug' },
+          { path: 'brand', select: 'name slug' }
+        ]
+      })
+    ]);
+
+    if (!exists) {
+      return res.status(404).json({
+        success: false,
+        error: 'Product not found'
+      });
+    }
+
+    const products = (entry?.items || [])
+      .filter((item) => item.product)
+      .slice(0, getLimit(req.query.limit))
+      .map((item) => ({ ...item.product.toObject(), orders: item.orders }));
+
+    res.status(200).json({
+      success: true,
+      count: products.length,
+      data: {
+        products,
+        computedAt: entry?.computedAt || null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -69,14 +69,11 @@ export const stripeWebhook = async (req, res) => {
           };
           order.status = 'processing';
 
-          // Reduce product stock
+          // Reduce product stock (per variant for shades/sizes)
           for (const item of order.orderItems) {
             const product = await Product.findById(item.product);
             if (product) {
-              product.stock -= item.quantity;
-              if (product.stock <= 0) {
-                product.inStock = false;
-              }
+              product.decrementStock(item.quantity, item.variant);
               await product.save();
             }
           }
@@ -14,6 +14,13 @@
 import Wishlist from '../models/Wishlist.js';
 import Product from '../models/Product.js';
 
+// Wishlist page fields (brand name, not just its id)
+const WISHLIST_PRODUCTS = {
+  path: 'products',
+  select: 'name price images category brand inStock',
+  populate: { path: 'brand', select: 'name slug' }
+};
+
 /**
  * @desc    Get user's wishlist
  * @route   GET /api/wishlist
@@ -24,7 +31,7 @@ import Product from '../models/Product.js';
 export const getWishlist = async (req, res, next) => {
   try {
     let wishlist = await Wishlist.findOne({ user: req.user.id })
-      .populate('products', 'name price images category brand inStock');
+      .populate(WISHLIST_PRODUCTS);
 
     if (!wishlist) {
       // Create empty wishlist if doesn't exist
@@ -67,7 +74,7 @@ export const addToWishlist = async (req, res, next) => {
 
     // Validate product exists
     const product = await Product.findById(productId);
-    if (!product) {
+    if (!product || product.isArchived()) {
       return res.status(404).json({
         success: false,
         error: 'Product not found'
@@ -92,7 +99,7 @@ export const addToWishlist = async (req, res, next) => {
 
     // Add product
     await wishlist.addProduct(productId);
-    await wishlist.populate('products', 'name price images category brand inStock');
+    await wishlist.populate(WISHLIST_PRODUCTS);
 
     res.status(200).json({
       success: true,
@@ -124,7 +131,7 @@ export const removeFromWishlist = async (req, res, next) => {
     }
 
     await wishlist.removeProduct(productId);
-    await wishlist.populate('products', 'name price images category brand inStock');
+    await wishlist.populate(WISHLIST_PRODUCTS);
 
     res.status(200).json({
       success: true,
@@ -0,0 +1,14 @@
+// Top-level categories (the ones products used to be limited to).
+// Subcategories can be added later through /api/products/categories.
+const categories = [
+  { name: "Makeup", sortOrder: 1 },
+  { name: "Skincare", sortOrder: 2 },
+  { name: "Haircare", sortOrder: 3 },
+  { name: "Fragrance", sortOrder: 4 },
+  { name: "Bath & Body", sortOrder: 5 },
+  { name: "Tools & Brushes", sortOrder: 6 },
+  { name: "Men", sortOrder: 7 },
+  { name: "Appliances", sortOrder: 8 }
+];
+
+export default categories;
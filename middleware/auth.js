@@ -18,6 +18,60 @@
 
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import RefreshToken from '../models/RefreshToken.js';
+import ApiKey, { API_KEY_PREFIX } from '../models/ApiKey.js';
+
+/**
+ * Read an API key from X-API-Key or Authorization: Bearer shp_...
+ *
+ * @returns {String|null} Plain key, or null if the request uses a JWT / nothing
+ */
+export const getApiKeyFromRequest = (req) => {
+  const header = req.headers['x-api-key'];
+  if (typeof header === 'string' && header) {
+    return header;
+  }
+
+  const authorization = req.headers.authorization;
+  if (authorization && authorization.startsWith(`Bearer ${API_KEY_PREFIX}`)) {
+    return authorization.split(' ')[1];
+  }
+
+  return null;
+};
+
+/**
+ * Find the user for a JWT access token
+ *
+ * @returns {Promise<Object>} { user, sessionId }, or { error } with the reason it was rejected
+ */
+export const authenticateAccessToken = async (token) => {
+  let decoded;
+  try {
+    // Verify token and decode payload
+    decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+  } catch (error) {
+    return { error: 'Token expired or invalid. Please login again.' };
+  }
+
+  // Purpose-bound tokens (2FA challenge, email verification) are not access tokens
+  if (decoded.purpose) {
+    return { error: 'Token expired or invalid. Please login again.' };
+  }
+
+  // Revoked session (logout, force-logout, password reset): reject its access tokens too
+  if (decoded.sid && !(await RefreshToken.isSessionActive(decoded.sid))) {
+    return { error: 'Session has been logged out. Please login again.' };
+  }
+
+  // Find user from token payload (exclude password)
+  const user = await User.findById(decoded.userId).select('-password');
+  if (!user) {
+    return { error: 'User not found with this token' };
+  }
+
+  return { user, sessionId: decoded.sid };
+};
 
 /**
  * Middleware to verify JWT Access Token
@@ -37,6 +91,14 @@ export const protect = async (req, res, next) => {
   try {
     let token;
 
+    // API keys act for an integration, not a user - only protectOrApiKey() routes accept them
+    if (getApiKeyFromRequest(req)) {
+      return res.status(401).json({
+        success: false,
+        error: 'API keys are not accepted on this route. Please login.'
+      });
+    }
+
     // Check for token in Authorization header
     // Format: Authorization: Bearer <token>
     if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
@@ -51,19 +113,18 @@ export const protect = async (req, res, next) => {
     }
 
     try {
-      // Verify token and decode payload
-      const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
-      
-      // Find user from token payload (exclude password)
-      req.user = await User.findById(decoded.userId).select('-password');
-      
-      if (!req.user) {
+      const { user, sessionId, error } = await authenticateAccessToken(token);
+
+      if (error) {
         return res.status(401).json({
           success: false,
-          error: 'User not found with this token'
+          error
         });
       }
 
+      req.user = user;
+      req.sessionId = sessionId;
+
       next(); // Proceed to next middleware/controller
     } catch (error) {
       return res.status(401).json({
@@ -79,6 +140,43 @@ export const protect = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware to authenticate a user (JWT) or an integration (API key)
+ * 
+ * WHY: Server-to-server integrations (ERP stock sync, fulfilment partners)
+ * call staff routes without a user account. The key's own permissions are
+ * then checked by requirePermission().
+ * 
+ * Sets req.apiKey instead of req.user, so only use it in front of
+ * requirePermission() on routes whose controllers don't need req.user.
+ * 
+ * USAGE: router.post('/', protectOrApiKey, requirePermission(PERMISSIONS.PRODUCTS_WRITE), createProduct)
+ */
+export const protectOrApiKey = async (req, res, next) => {
+  const key = getApiKeyFromRequest(req);
+  if (!key) {
+    return protect(req, res, next);
+  }
+
+  try {
+    req.apiKey = await ApiKey.authenticate(key, { ip: req.ip });
+
+    if (!req.apiKey) {
+      return res.status(401).json({
+        success: false,
+        error: 'API key is invalid, expired or revoked'
+      });
+    }
+
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication failed'
+    });
+  }
+};
+
 /**
  * Middleware to authorize specific roles
  * 
@@ -87,6 +185,9 @@ export const protect = async (req, res, next) => {
  * 
  * USAGE: Use after protect() middleware
  * Example: router.get('/admin/users', protect, authorize('admin'), getUsers)
+ * 
+ * NOTE: Routes now use requirePermission() - prefer it for new routes so
+ * staff roles other than admin keep working.
  */
 export const authorize = (...roles) => {
   return (req, res, next) => {
@@ -96,13 +197,81 @@ export const authorize = (...roles) => {
         error: `User role '${req.user.role}' is not authorized to access this route`
       });
     }
+
+    if (req.user.requiresTwoFactor() && !req.user.twoFactorEnabled) {
+      return res.status(403).json({
+        success: false,
+        error: 'Two-factor authentication is required for staff accounts. Enable it via /api/auth/2fa/setup.'
+      });
+    }
     next();
   };
 };
 
+/**
+ * Middleware to require specific permissions
+ * 
+ * WHY: Roles are bundles of permissions (config/permissions.js), so routes
+ * check what the user may do rather than who they are. Warehouse staff can
+ * update order status without being able to delete users.
+ * 
+ * USAGE: Use after protect() or protectOrApiKey(). All listed permissions are required.
+ * Example: router.put('/:id/status', protect, requirePermission(PERMISSIONS.ORDERS_UPDATE_STATUS), updateOrderStatus)
+ */
+export const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (req.apiKey) {
+      const missing = permissions.filter((permission) => !req.apiKey.hasPermission(permission));
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          error: `API key is missing permission: ${missing.join(', ')}`
+        });
+      }
+      return next();
+    }
 
+    const missing = permissions.filter((permission) => !req.user.hasPermission(permission));
 
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        error: `Missing permission: ${missing.join(', ')}`
+      });
+    }
 
+    // REQUIRE_2FA_FOR_STAFF: staff must enrol in 2FA before using staff routes
+    if (req.user.requiresTwoFactor() && !req.user.twoFactorEnabled) {
+      return res.status(403).json({
+        success: false,
+        error: 'Two-factor authentication is required for staff accounts. Enable it via /api/auth/2fa/setup.'
+      });
+    }
+    next();
+  };
+};
 
+/**
+ * Middleware to require a verified email address
+ * 
+ * WHY: Orders trigger emails (confirmation, shipping updates) and refunds,
+ * so shops may want to make sure the address really belongs to the user.
+ * 
+ * Enabled with REQUIRE_EMAIL_VERIFICATION_FOR_ORDERS=true; otherwise a no-op.
+ * Guests (no req.user) are not accounts and pass through - guest checkout
+ * is controlled separately.
+ * USAGE: Use after protect() or identifyShopper() middleware
+ */
+export const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION_FOR_ORDERS !== 'true' || !req.user) {
+    return next();
+  }
 
-
+  if (!req.user.isEmailVerified) {
+    return res.status(403).json({
+      success: false,
+      error: 'Please verify your email address before placing an order'
+    });
+  }
+  next();
+};
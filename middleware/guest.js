@@ -0,0 +1,139 @@
+/**
+ * Guest Shopper Middleware
+ *
+ * PROBLEM IT SOLVES: Shoppers should be able to fill a cart and check out
+ * without creating an account first (forced signup is a top cause of
+ * abandoned carts).
+ *
+ * HOW IT WORKS:
+ * - Logged-in requests (Bearer token) are authenticated exactly like protect()
+ * - Anonymous requests get a random guest id in a signed httpOnly cookie.
+ *   The HMAC signature stops shoppers from guessing/forging another
+ *   guest's id to read their cart.
+ * - Controllers then use req.user (account) or req.guestId (guest).
+ *
+ * When the guest later signs up or logs in, their cart is merged and their
+ * orders attached to the account (see claimGuestActivity in authController).
+ */
+
+import crypto from 'crypto';
+import { protect, getApiKeyFromRequest, authenticateAccessToken } from './auth.js';
+
+export const GUEST_COOKIE_NAME = 'guestId';
+
+const GUEST_COOKIE_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// Never the refresh token secret itself: one key shouldn't sign two token formats
+const getGuestSecret = () =>
+  process.env.GUEST_COOKIE_SECRET ||
+  crypto.createHmac('sha256', process.env.JWT_REFRESH_SECRET).update('guest-cookie').digest();
+
+const sign = (guestId) =>
+  crypto.createHmac('sha256', getGuestSecret()).update(guestId).digest('base64url');
+
+/**
+ * Read and verify the guest id from the signed cookie
+ *
+ * @returns {String|null} Guest id, or null if missing/tampered
+ */
+export const readGuestId = (req) => {
+  const cookie = req.cookies?.[GUEST_COOKIE_NAME];
+  if (!cookie || typeof cookie !== 'string') {
+    return null;
+  }
+
+  const [guestId, signature] = cookie.split('.');
+  if (!guestId || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(guestId));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  return guestId;
+};
+
+export const clearGuestCookie = (res) => {
+  res.cookie(GUEST_COOKIE_NAME, '', {
+    httpOnly: true,
+    expires: new Date(0)
+  });
+};
+
+const setGuestCookie = (res, guestId) => {
+  res.cookie(GUEST_COOKIE_NAME, `${guestId}.${sign(guestId)}`, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax', // Keep the cart when arriving from an external link
+    maxAge: GUEST_COOKIE_MAX_AGE
+  });
+};
+
+/**
+ * Middleware: identify the shopper as a logged-in user or a guest
+ *
+ * - Bearer token present: delegate to protect() (invalid token = 401, so an
+ *   expired session doesn't silently fall back to an empty guest cart)
+ * - Otherwise: reuse the guest cookie or issue a new one, set req.guestId
+ *
+ * USAGE: router.use(identifyShopper) for cart/checkout routes
+ */
+export const identifyShopper = (req, res, next) => {
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    return protect(req, res, next);
+  }
+
+  let guestId = readGuestId(req);
+  if (!guestId) {
+    guestId = crypto.randomUUID();
+    setGuestCookie(res, guestId);
+  }
+
+  req.guestId = guestId;
+  next();
+};
+
+/**
+ * Middleware: identify the viewer of a public page that also records
+ * activity (recently viewed products)
+ *
+ * Unlike identifyShopper, the page must never fail because of who is asking:
+ * - Valid Bearer token: req.user. An expired or revoked token is treated as
+ *   a guest instead of a 401, so the product page still loads.
+ * - Guest: req.guestId only when the browser already sends the guest cookie.
+ *   A first visit just gets the cookie, so crawlers and other cookieless
+ *   clients never create guest histories; views count from the next page on.
+ * - API keys (integrations) are left anonymous - they have no history.
+ *
+ * USAGE: router.get('/:id', identifyViewer, getProductById)
+ */
+export const identifyViewer = async (req, res, next) => {
+  if (getApiKeyFromRequest(req)) {
+    return next();
+  }
+
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    try {
+      const { user, sessionId } = await authenticateAccessToken(req.headers.authorization.split(' ')[1]);
+      if (user) {
+        req.user = user;
+        req.sessionId = sessionId;
+        return next();
+      }
+    } catch (error) {
+      // Fall back to guest below
+    }
+  }
+
+  const guestId = readGuestId(req);
+  if (guestId) {
+    req.guestId = guestId;
+  } else {
+    setGuestCookie(res, crypto.randomUUID());
+  }
+
+  next();
+};
@@ -0,0 +1,118 @@
+/**
+ * Rate Limiting Middleware
+ *
+ * PROBLEM IT SOLVES: Without throttling, /login can be hammered with
+ * millions of email/password pairs (credential stuffing) and /signup can be
+ * used to mass-create accounts.
+ *
+ * HOW IT WORKS: Sliding window log per client IP. Each allowed request's
+ * timestamp is recorded in a store; once `max` requests fall inside the last
+ * `windowMs`, further requests are rejected with 429 + Retry-After (sent by
+ * the central error handler). Rejected requests aren't recorded, so a client
+ * hammering the endpoint can't grow the log or push its own reset back.
+ *
+ * The store is pluggable: the in-memory store works for a single process.
+ * When running several instances, register a shared store (e.g. Redis)
+ * with setRateLimitStore() at startup. A store only needs:
+ *   async hit(key, windowMs, max) -> { count, resetAt }
+ * where count includes this request, which is only recorded if count <= max.
+ *
+ * REAL-WORLD: Same idea as express-rate-limit / nginx limit_req, used by
+ * every major site on authentication endpoints.
+ */
+
+/**
+ * In-memory sliding window store
+ *
+ * Keeps a list of request timestamps per key, at most `max` of them. Old
+ * timestamps are pruned on every hit, and idle keys are swept periodically
+ * so memory stays bounded.
+ */
+export class MemoryStore {
+  constructor({ sweepIntervalMs = 60 * 1000 } = {}) {
+    this.hits = new Map();
+    this.longestWindowMs = 0;
+
+    // Don't keep the process alive just for the sweeper
+    this.sweeper = setInterval(() => this.sweep(), sweepIntervalMs);
+    this.sweeper.unref();
+  }
+
+  async hit(key, windowMs, max) {
+    const now = Date.now();
+    this.longestWindowMs = Math.max(this.longestWindowMs, windowMs);
+
+    const timestamps = (this.hits.get(key) || []).filter((time) => time > now - windowMs);
+    const count = timestamps.length + 1;
+    if (count <= max) {
+      timestamps.push(now);
+    }
+    this.hits.set(key, timestamps);
+
+    return {
+      count,
+      resetAt: new Date((timestamps[0] ?? now) + windowMs)
+    };
+  }
+
+  sweep() {
+    const cutoff = Date.now() - this.longestWindowMs;
+    for (const [key, timestamps] of this.hits) {
+      if (!timestamps.length || timestamps[timestamps.length - 1] <= cutoff) {
+        this.hits.delete(key);
+      }
+    }
+  }
+}
+
+let defaultStore = null;
+
+/**
+ * Replace the store used by limiters that don't pass their own `store`
+ */
+export const setRateLimitStore = (store) => {
+  if (!store || typeof store.hit !== 'function') {
+    throw new Error('Rate limit store must implement hit(key, windowMs, max)');
+  }
+  defaultStore = store;
+};
+
+const getDefaultStore = () => {
+  if (!defaultStore) {
+    defaultStore = new MemoryStore();
+  }
+  return defaultStore;
+};
+
+/**
+ * Create rate limiting middleware
+ *
+ * @param {Object} options
+ * @param {String} options.keyPrefix - Separates counters of different routes (e.g. 'login')
+ * @param {Number} options.windowMs - Sliding window length in milliseconds
+ * @param {Number|Function} options.max - Allowed requests per window (function = read at request time)
+ * @param {Object} [options.store] - Store instance (defaults to the shared store)
+ *
+ * USAGE: router.post('/login', rateLimit({ keyPrefix: 'login', windowMs: 900000, max: 10 }), login)
+ */
+export const rateLimit = ({ keyPrefix, windowMs, max, store }) => {
+  return async (req, res, next) => {
+    try {
+      const limit = typeof max === 'function' ? max() : max;
+      const key = `${keyPrefix}:${req.ip}`;
+
+      const { count, resetAt } = await (store || getDefaultStore()).hit(key, windowMs, limit);
+
+      if (count > limit) {
+        const error = new Error('Too many requests. Please try again later.');
+        error.statusCode = 429;
+        error.retryAfter = Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 1000));
+        return next(error);
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
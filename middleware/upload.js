@@ -0,0 +1,147 @@
+/**
+ * File Upload Middleware (multer)
+ *
+ * PROBLEM IT SOLVES: Endpoints that accept files (catalog import, product
+ * images, avatars) need size limits and file type checks before any
+ * controller code runs.
+ *
+ * HOW IT WORKS: Files are kept in memory (req.file.buffer / req.files) and
+ * handed to the controller, which parses them (imports) or passes them to
+ * utils/imageStorage.js. Rejected files become 400 errors through the
+ * central error handler.
+ */
+
+import path from 'path';
+import multer from 'multer';
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Run a multer middleware and turn its errors into 400 responses
+ */
+const runUpload = (upload, req, res, next, onUploaded) => {
+  upload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const messages = {
+        LIMIT_FILE_SIZE: 'File is too large',
+        LIMIT_FILE_COUNT: 'Too many files',
+        LIMIT_UNEXPECTED_FILE: `Unexpected file field "${error.field}" (or too many files)`
+      };
+      return next(badRequest(messages[error.code] || error.message));
+    }
+    if (error) {
+      return next(error);
+    }
+
+    try {
+      onUploaded();
+      next();
+    } catch (validationError) {
+      next(validationError);
+    }
+  });
+};
+
+const IMPORT_EXTENSIONS = ['.csv', '.json'];
+
+/**
+ * Single catalog import file in the `file` field (CSV or JSON)
+ *
+ * Max size: IMPORT_MAX_FILE_MB (default 5 MB)
+ */
+export const importUpload = (req, res, next) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: (Number(process.env.IMPORT_MAX_FILE_MB) || 5) * 1024 * 1024,
+      files: 1
+    },
+    fileFilter: (req, file, cb) => {
+      const extension = path.extname(file.originalname).toLowerCase();
+      if (!IMPORT_EXTENSIONS.includes(extension)) {
+        return cb(badRequest('Only .csv and .json files can be imported'));
+      }
+      cb(null, true);
+    }
+  }).single('file');
+
+  runUpload(upload, req, res, next, () => {
+    if (!req.file) {
+      throw badRequest('Please upload a file in the "file" field');
+    }
+  });
+};
+
+/**
+ * Accepted image types, identified by their first bytes ("magic numbers")
+ *
+ * WHY: The Content-Type and file name are chosen by the client, so an HTML
+ * or SVG file (script injection) could be sent as "photo.jpg". Checking the
+ * actual bytes makes sure we only store real raster images.
+ */
+const IMAGE_TYPES = [
+  {
+    mimetype: 'image/jpeg',
+    extension: '.jpg',
+    matches: (buffer) => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff
+  },
+  {
+    mimetype: 'image/png',
+    extension: '.png',
+    matches: (buffer) =>
+      buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  },
+  {
+    mimetype: 'image/webp',
+    extension: '.webp',
+    matches: (buffer) =>
+      buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP'
+  }
+];
+
+/**
+ * Create middleware accepting up to `maxCount` images in `field`
+ *
+ * Sets req.files (array); each file gets an `extension` from its real type.
+ * Max size per image: IMAGE_MAX_FILE_MB (default 5 MB)
+ *
+ * @param {Object} options - { field, maxCount: Number or Function (read at request time) }
+ *
+ * USAGE: router.post('/:id/images', imageUpload({ field: 'images', maxCount: getMaxProductImages }), uploadProductImages)
+ */
+export const imageUpload = ({ field, maxCount = 1 }) => {
+  return (req, res, next) => {
+    const limit = typeof maxCount === 'function' ? maxCount() : maxCount;
+    const upload = multer({
+      storage: multer.memoryStorage(),
+      limits: {
+        fileSize: (Number(process.env.IMAGE_MAX_FILE_MB) || 5) * 1024 * 1024,
+        files: limit
+      },
+      fileFilter: (req, file, cb) => {
+        if (!IMAGE_TYPES.some((type) => type.mimetype === file.mimetype)) {
+          return cb(badRequest('Only JPEG, PNG and WebP images are allowed'));
+        }
+        cb(null, true);
+      }
+    }).array(field, limit);
+
+    runUpload(upload, req, res, next, () => {
+      if (!req.files || req.files.length === 0) {
+        throw badRequest(`Please upload an image in the "${field}" field`);
+      }
+
+      for (const file of req.files) {
+        const type = IMAGE_TYPES.find((imageType) => imageType.matches(file.buffer));
+        if (!type || type.mimetype !== file.mimetype) {
+          throw badRequest(`${file.originalname} is not a valid ${file.mimetype} image`);
+        }
+        file.extension = type.extension;
+      }
+    });
+  };
+};
@@ -0,0 +1,136 @@
+/**
+ * API Key Model Schema
+ *
+ * PROBLEM IT SOLVES: Server-to-server integrations (ERP, marketplace sync)
+ * used to log in as a human admin and scrape the access token. API keys give
+ * each integration its own credential, limited to the permissions it needs,
+ * that can expire and be revoked without touching any user account.
+ *
+ * HOW IT WORKS:
+ * - Key format: shp_<random> (the shp_ prefix makes leaked keys easy to grep for)
+ * - Only a SHA-256 hash is stored; the plain key is shown once at creation.
+ *   Keys are 256-bit random, so a fast hash is enough (no bcrypt needed).
+ * - Permissions use the same names as user roles (config/permissions.js)
+ *
+ * REAL-WORLD: Same approach as Stripe/GitHub API keys and tokens.
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { ALL_PERMISSIONS } from '../config/permissions.js';
+
+export const API_KEY_PREFIX = 'shp_';
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'API key name is required'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false
+    },
+    displayPrefix: {
+      type: String // First characters of the key, to recognise it in the admin list
+    },
+    permissions: [
+      {
+        type: String,
+        enum: ALL_PERMISSIONS
+      }
+    ],
+    expiresAt: {
+      type: Date // Optional - no expiry if empty
+    },
+    lastUsedAt: {
+      type: Date
+    },
+    lastUsedIp: {
+      type: String
+    },
+    revokedAt: {
+      type: Date
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+/**
+ * METHOD: Check if the key grants a permission
+ *
+ * Same signature as User.hasPermission so requirePermission() works for both.
+ */
+apiKeySchema.methods.hasPermission = function (permission) {
+  return this.permissions.includes(permission);
+};
+
+apiKeySchema.methods.isActive = function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > Date.now());
+};
+
+/**
+ * STATIC METHOD: Create a key
+ *
+ * @returns {Promise<Object>} { apiKey (document), key (plain text - show once) }
+ */
+apiKeySchema.statics.generate = async function ({ name, permissions, expiresAt, createdBy }) {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+  const apiKey = await this.create({
+    name,
+    keyHash: hashKey(key),
+    displayPrefix: key.slice(0, API_KEY_PREFIX.length + 6),
+    permissions,
+    expiresAt,
+    createdBy
+  });
+
+  return { apiKey, key };
+};
+
+/**
+ * STATIC METHOD: Find an active key from its plain text value
+ *
+ * Also records last use (at most once a minute, to avoid a write per request).
+ *
+ * @returns {Promise<Object|null>} ApiKey document or null if unknown/expired/revoked
+ */
+apiKeySchema.statics.authenticate = async function (key, { ip } = {}) {
+  if (!key || !key.startsWith(API_KEY_PREFIX)) {
+    return null;
+  }
+
+  const apiKey = await this.findOne({ keyHash: hashKey(key) });
+  if (!apiKey || !apiKey.isActive()) {
+    return null;
+  }
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > 60 * 1000) {
+    apiKey.lastUsedAt = new Date();
+    apiKey.lastUsedIp = ip;
+    await this.updateOne(
+      { _id: apiKey._id },
+      { lastUsedAt: apiKey.lastUsedAt, lastUsedIp: ip }
+    );
+  }
+
+  return apiKey;
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
@@ -0,0 +1,100 @@
+/**
+ * Bought Together Model Schema
+ *
+ * PROBLEM IT SOLVES: "Frequently bought together" needs to know which
+ * products appear in the same orders. Working that out means scanning every
+ * order - far too slow for a product page request.
+ *
+ * HOW IT WORKS: A batch job (npm run refresh:bought-together, e.g. nightly
+ * from cron) counts how often each pair of products was ordered together
+ * and stores the top pairs here, one document per product. The product
+ * page then reads a single small document.
+ *
+ * REAL-WORLD: Amazon's "Frequently bought together" and Nykaa's "Goes well
+ * with" are precomputed offline the same way (market basket analysis).
+ */
+
+import mongoose from 'mongoose';
+import Order from './Order.js';
+
+const boughtTogetherSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+      unique: true
+    },
+    items: [
+      {
+        _id: false,
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Product',
+          required: true
+        },
+        orders: {
+          type: Number, // Orders containing both products
+          required: true
+        }
+      }
+    ],
+    computedAt: {
+      type: Date,
+      required: true
+    }
+  }
+);
+
+/**
+ * STATIC METHOD: Recompute all pairs from recent orders
+ *
+ * WHY: Runs as one aggregation on the database server: every order's
+ * distinct products are paired with each other and the pairs counted.
+ * Only paid orders (COD counts as paid when placed) that weren't cancelled
+ * count - abandoned checkouts aren't purchases. Pairs seen in fewer than
+ * `minOrders` orders are noise ("bought together once" says little).
+ *
+ * @param {Object} options - { days: order history to use, minOrders, maxItems per product }
+ * @returns {Promise<Object>} { products: products with recommendations, removed: stale entries deleted }
+ */
+boughtTogetherSchema.statics.rebuildFromOrders = async function ({ days, minOrders, maxItems }) {
+  const computedAt = new Date();
+  const since = new Date(computedAt.getTime() - days * 24 * 60 * 60 * 1000);
+
+  const pairs = await Order.aggregate([
+    { $match: { isPaid: true, orderStatus: { $ne: 'cancelled' }, createdAt: { $gte: since } } },
+    { $project: { _id: 0, products: { $setUnion: ['$orderItems.product', []] } } }, // Distinct per order
+    { $match: { 'products.1': { $exists: true } } },
+    { $project: { product: '$products', other: '$products' } },
+    { $unwind: '$product' },
+    { $unwind: '$other' },
+    { $match: { $expr: { $ne: ['$product', '$other'] } } },
+    { $group: { _id: { product: '$product', other: '$other' }, orders: { $sum: 1 } } },
+    { $match: { orders: { $gte: minOrders } } },
+    { $sort: { '_id.product': 1, orders: -1, '_id.other': 1 } },
+    { $group: { _id: '$_id.product', items: { $push: { product: '$_id.other', orders: '$orders' } } } },
+    { $project: { items: { $slice: ['$items', maxItems] } } }
+  ]).allowDiskUse(true);
+
+  if (pairs.length > 0) {
+    await this.bulkWrite(
+      pairs.map(({ _id, items }) => ({
+        updateOne: {
+          filter: { product: _id },
+          update: { $set: { items, computedAt } },
+          upsert: true
+        }
+      }))
+    );
+  }
+
+  // Products that no longer have enough orders in the window
+  const { deletedCount } = await this.deleteMany({ computedAt: { $lt: computedAt } });
+
+  return { products: pairs.length, removed: deletedCount };
+};
+
+const BoughtTogether = mongoose.model('BoughtTogether', boughtTogetherSchema);
+
+export default BoughtTogether;
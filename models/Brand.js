@@ -0,0 +1,112 @@
+/**
+ * Brand Model Schema
+ *
+ * PROBLEM IT SOLVES: Brands used to be free text on each product, so
+ * "Lakme" and "Lakmé" were two brands and there was nowhere to keep a logo
+ * or description. Products now reference a Brand document.
+ *
+ * HOW IT WORKS: The slug is the brand's identity - it's derived from the
+ * name with accents and case removed, so "Lakmé" and "Lakme" can't both
+ * exist. Brand pages are served by slug (/api/products/brands/lakme).
+ *
+ * REAL-WORLD: Nykaa/Sephora brand pages (logo, story, the brand's catalog)
+ * and the "Top Brands" strip on the homepage (featured brands).
+ */
+
+import mongoose from 'mongoose';
+import { slugify } from '../utils/slugify.js';
+import { emitCatalogChange } from '../utils/catalogEvents.js';
+
+const brandSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Brand name is required'],
+      trim: true,
+      maxlength: [100, 'Brand name cannot exceed 100 characters']
+    },
+    slug: {
+      type: String,
+      unique: true,
+      lowercase: true,
+      trim: true
+    },
+    logo: {
+      type: String, // Image URL
+      default: ''
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Description cannot exceed 2000 characters']
+    },
+    featured: {
+      type: Boolean,
+      default: false,
+      index: true // Homepage "Top Brands"
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+/**
+ * SLUG: defaults to the slugified name; an explicit slug is normalized the same way
+ */
+brandSchema.pre('validate', async function () {
+  if (this.slug && !this.isModified('slug') && !this.isNew) {
+    return;
+  }
+
+  this.slug = slugify(this.slug || this.name);
+  if (!this.slug) {
+    this.invalidate('slug', 'Slug must contain letters or digits');
+    return;
+  }
+
+  const taken = await this.constructor.exists({ _id: { $ne: this._id }, slug: this.slug });
+  if (taken) {
+    this.invalidate('slug', `Slug '${this.slug}' is already used by another brand`);
+  }
+});
+
+/**
+ * STATIC METHOD: Find a brand by slug or id
+ *
+ * WHY: Storefront URLs use slugs (?brand=lakme), admin tools use ids.
+ */
+brandSchema.statics.findBySlugOrId = function (value) {
+  const text = String(value).trim();
+  return /^[0-9a-f]{24}$/i.test(text)
+    ? this.findById(text)
+    : this.findOne({ slug: text.toLowerCase() });
+};
+
+/**
+ * STATIC METHOD: Ids of the brands matching several slugs or ids
+ */
+brandSchema.statics.findIds = async function (values) {
+  const texts = values.map((value) => String(value).trim());
+  const ids = texts.filter((text) => /^[0-9a-f]{24}$/i.test(text));
+  const slugs = texts.map((text) => text.toLowerCase());
+
+  const brands = await this.find({ $or: [{ _id: { $in: ids } }, { slug: { $in: slugs } }] }).select('_id');
+  return brands.map((brand) => brand._id);
+};
+
+/**
+ * CATALOG CHANGE EVENTS: refresh in-memory catalog data (search suggestions)
+ * when brands change - see utils/catalogEvents.js
+ */
+brandSchema.post('save', function () {
+  emitCatalogChange({ model: 'Brand', id: this._id, paths: null });
+});
+
+brandSchema.post('deleteOne', { document: true, query: false }, function () {
+  emitCatalogChange({ model: 'Brand', id: this._id, paths: null });
+});
+
+const Brand = mongoose.model('Brand', brandSchema);
+
+export default Brand;
@@ -7,6 +7,16 @@ const cartItemSchema = new mongoose.Schema(
       ref: 'Product',
       required: true
     },
+    variant: {
+      type: mongoose.Schema.Types.ObjectId, // Product.variants._id (null for products without variants)
+      default: null
+    },
+    variantLabel: {
+      type: String // e.g. "Ruby Red / 3.5g"
+    },
+    sku: {
+      type: String
+    },
     name: {
       type: String,
       required: true
@@ -37,8 +47,13 @@ const cartSchema = new mongoose.Schema(
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
-      required: true,
-      unique: true // One cart per user
+      unique: true, // One cart per user
+      sparse: true // Guest carts have no user
+    },
+    guestId: {
+      type: String, // Anonymous cart, keyed by the signed guest cookie
+      unique: true,
+      sparse: true
     },
     items: [cartItemSchema],
     totalPrice: {
@@ -57,8 +72,46 @@ const cartSchema = new mongoose.Schema(
   }
 );
 
+// A cart line is one product + variant: two shades of a lipstick are separate lines
+const isSameLine = (item, productId, variantId) =>
+  item.product.toString() === productId.toString() &&
+  String(item.variant || '') === String(variantId || '');
+
+/**
+ * Resolve the variant being bought and the stock available for it
+ * 
+ * Products with variants can't be added without choosing one.
+ */
+const resolveVariant = (productDoc, variantId) => {
+  if (productDoc.variants.length === 0) {
+    return { variant: null, available: productDoc.stock };
+  }
 
-cartSchema.index({ user: 1 });
+  if (!variantId) {
+    throw new Error('Please select a variant (shade/size) for this product');
+  }
+
+  const variant = productDoc.variants.id(variantId);
+  if (!variant) {
+    throw new Error('Selected variant not found');
+  }
+
+  return { variant, available: variant.stock };
+};
+
+// Abandoned guest carts are removed automatically after 30 days of inactivity
+cartSchema.index(
+  { updatedAt: 1 },
+  { expireAfterSeconds: 30 * 24 * 60 * 60, partialFilterExpression: { guestId: { $exists: true } } }
+);
+
+// Every cart belongs to either a user or a guest
+cartSchema.pre('validate', function (next) {
+  if (!this.user && !this.guestId) {
+    return next(new Error('Cart must belong to a user or a guest'));
+  }
+  next();
+});
 
 cartSchema.methods.calculateTotals = function () {
   this.totalPrice = this.items.reduce(
@@ -72,7 +125,7 @@ cartSchema.methods.calculateTotals = function () {
 };
 
 
-cartSchema.methods.addItem = async function (product, quantity = 1) {
+cartSchema.methods.addItem = async function (product, quantity = 1, variantId = null) {
   const Product = mongoose.model('Product');
 
   // Fetch product to get current details
@@ -81,29 +134,45 @@ cartSchema.methods.addItem = async function (product, quantity = 1) {
     throw new Error('Product not found');
   }
 
+  if (productDoc.isArchived()) {
+    throw new Error('Product is no longer available');
+  }
+
   if (!productDoc.inStock) {
     throw new Error('Product is out of stock');
   }
 
+  const { variant, available } = resolveVariant(productDoc, variantId);
+  if (variant && variant.stock <= 0) {
+    throw new Error(`${productDoc.getVariantLabel(variant)} is out of stock`);
+  }
+
   // Check if item already in cart
   const existingItemIndex = this.items.findIndex(
-    (item) => item.product.toString() === product.toString()
+    (item) => isSameLine(item, product, variant?._id)
   );
 
   if (existingItemIndex > -1) {
     // Update quantity (check stock availability)
     const newQuantity = this.items[existingItemIndex].quantity + quantity;
-    if (newQuantity > productDoc.stock) {
-      throw new Error(`Only ${productDoc.stock} items available in stock`);
+    if (newQuantity > available) {
+      throw new Error(`Only ${available} items available in stock`);
     }
     this.items[existingItemIndex].quantity = newQuantity;
   } else {
+    if (quantity > available) {
+      throw new Error(`Only ${available} items available in stock`);
+    }
+
     // Add new item with price snapshot
     this.items.push({
       product: product,
+      variant: variant?._id || null,
+      variantLabel: variant ? productDoc.getVariantLabel(variant) : undefined,
+      sku: variant?.sku,
       name: productDoc.name,
-      image: productDoc.images?.[0]?.url || '',
-      price: productDoc.price,
+      image: productDoc.images?.[0] || '',
+      price: variant ? variant.price : productDoc.price,
       quantity
     });
 
@@ -114,24 +183,24 @@ cartSchema.methods.addItem = async function (product, quantity = 1) {
   return this.save();
 };
 
-cartSchema.methods.removeItem = function (productId) {
+cartSchema.methods.removeItem = function (productId, variantId = null) {
   this.items = this.items.filter(
-    (item) => item.product.toString() !== productId.toString()
+    (item) => !isSameLine(item, productId, variantId)
   );
   this.calculateTotals();
   return this.save();
 };
 
 
-cartSchema.methods.updateItemQuantity = async function (productId, quantity) {
+cartSchema.methods.updateItemQuantity = async function (productId, quantity, variantId = null) {
   const Product = mongoose.model('Product');
 
   if (quantity <= 0) {
-    return this.removeItem(productId);
+    return this.removeItem(productId, variantId);
   }
 
   const item = this.items.find(
-    (item) => item.product.toString() === productId.toString()
+    (item) => isSameLine(item, productId, variantId)
   );
 
   if (!item) {
@@ -140,8 +209,11 @@ cartSchema.methods.updateItemQuantity = async function (productId, quantity) {
 
   // Check stock availability
   const productDoc = await Product.findById(productId);
-  if (quantity > productDoc.stock) {
-    throw new Error(`Only ${productDoc.stock} items available in stock`);
+  const available = item.variant
+    ? productDoc.variants.id(item.variant)?.stock || 0
+    : productDoc.stock;
+  if (quantity > available) {
+    throw new Error(`Only ${available} items available in stock`);
   }
 
   item.quantity = quantity;
@@ -167,6 +239,98 @@ cartSchema.statics.getOrCreateCart = async function (userId) {
   return cart;
 };
 
+/**
+ * STATIC METHOD: Merge a guest cart into a user's cart
+ * 
+ * WHY: A shopper who fills a cart as a guest and then logs in expects to
+ * keep those items. Quantities are added up but capped at available stock;
+ * unavailable products are dropped. The guest cart is deleted afterwards.
+ */
+cartSchema.statics.mergeGuestCart = async function (guestId, userId) {
+  const guestCart = await this.findOne({ guestId });
+  if (!guestCart) {
+    return null;
+  }
+
+  if (guestCart.items.length === 0) {
+    await guestCart.deleteOne();
+    return null;
+  }
+
+  const Product = mongoose.model('Product');
+  let cart = await this.findOne({ user: userId });
+  if (!cart) {
+    cart = new this({ user: userId });
+  }
+
+  for (const guestItem of guestCart.items) {
+    const productDoc = await Product.findById(guestItem.product);
+    if (!productDoc || productDoc.isArchived() || !productDoc.inStock) {
+      continue;
+    }
+
+    const available = guestItem.variant
+      ? productDoc.variants.id(guestItem.variant)?.stock || 0
+      : productDoc.stock;
+
+    const existingItem = cart.items.find(
+      (item) => isSameLine(item, guestItem.product, guestItem.variant)
+    );
+
+    if (existingItem) {
+      existingItem.quantity = Math.min(existingItem.quantity + guestItem.quantity, available);
+    } else {
+      cart.items.push({
+        product: guestItem.product,
+        variant: guestItem.variant,
+        variantLabel: guestItem.variantLabel,
+        sku: guestItem.sku,
+        name: guestItem.name,
+        image: guestItem.image,
+        price: guestItem.price,
+        quantity: Math.min(guestItem.quantity, available)
+      });
+    }
+  }
+
+  cart.items = cart.items.filter((item) => item.quantity > 0);
+  cart.calculateTotals();
+  await cart.save();
+  await guestCart.deleteOne();
+
+  return cart;
+};
+
+/**
+ * STATIC METHOD: Remove a product from every cart
+ * 
+ * WHY: Called when a product is archived so nobody checks out a product
+ * we no longer sell.
+ * 
+ * WHY ONE UPDATE: A popular product sits in thousands of carts. A single
+ * pipeline update removes its lines and recomputes the totals (same sums as
+ * calculateTotals) in the database, without loading every cart, and can't
+ * overwrite a shopper's cart changes made at the same moment.
+ * 
+ * @returns {Promise<Array>} User ids of affected (non-guest) carts, to notify them
+ */
+cartSchema.statics.removeProductFromAll = async function (productId) {
+  const product = new mongoose.Types.ObjectId(String(productId));
+  const carts = await this.find({ 'items.product': product, user: { $ne: null } }).select('user');
+
+  await this.updateMany({ 'items.product': product }, [
+    { $set: { items: { $filter: { input: '$items', cond: { $ne: ['$$this.product', product] } } } } },
+    {
+      $set: {
+        totalPrice: { $sum: { $map: { input: '$items', in: { $multiply: ['$$this.price', '$$this.quantity'] } } } },
+        totalItems: { $sum: '$items.quantity' }
+      }
+    }
+  ]);
+
+  return carts.map((cart) => cart.user);
+};
+
 const Cart = mongoose.model('Cart', cartSchema);
 
 export default Cart;
@@ -0,0 +1,220 @@
+/**
+ * Category Model Schema
+ *
+ * PROBLEM IT SOLVES: Categories used to be a hard-coded enum, so adding
+ * "Wellness" or splitting Makeup into Lips/Eyes/Face needed a code deploy.
+ * Categories now live in the database and can be nested to any depth.
+ *
+ * HOW IT WORKS:
+ * - Each category has an optional parent (null = top level)
+ * - `ancestors` stores the ids from the root down to the parent
+ *   (Makeup > Lips > Lipstick: Lipstick.ancestors = [Makeup, Lips])
+ *   so "Makeup and everything below it" is a single indexed query
+ * - Moving a category updates the ancestors of its whole subtree
+ *
+ * REAL-WORLD: Nykaa/Amazon category menus (Makeup > Lips > Lipstick) are
+ * built the same way - a tree managed by the catalog team.
+ */
+
+import mongoose from 'mongoose';
+import { slugify } from '../utils/slugify.js';
+import { emitCatalogChange } from '../utils/catalogEvents.js';
+
+const categorySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Category name is required'],
+      trim: true,
+      maxlength: [100, 'Category name cannot exceed 100 characters']
+    },
+    slug: {
+      type: String,
+      unique: true,
+      lowercase: true,
+      trim: true
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Description cannot exceed 1000 characters']
+    },
+    image: {
+      type: String, // Image URL (banner/tile in the category menu)
+      default: ''
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      default: null,
+      index: true
+    },
+    ancestors: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category'
+      }
+    ],
+    sortOrder: {
+      type: Number,
+      default: 0 // Lower comes first among siblings
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+categorySchema.index({ ancestors: 1 }); // Find all descendants of a category
+
+/**
+ * SLUG AND ANCESTORS
+ *
+ * - Slug defaults to the slugified name; an explicit slug is normalized the same way
+ * - Parent changed: check it exists and isn't this category or one of its
+ *   descendants (that would create a loop), then rebuild `ancestors`
+ */
+categorySchema.pre('validate', async function () {
+  if (!this.slug || this.isModified('slug')) {
+    this.slug = slugify(this.slug || this.name);
+    if (!this.slug) {
+      this.invalidate('slug', 'Slug must contain letters or digits');
+    }
+  }
+
+  if (this.slug && this.isModified('slug')) {
+    const taken = await this.constructor.exists({ _id: { $ne: this._id }, slug: this.slug });
+    if (taken) {
+      this.invalidate('slug', `Slug '${this.slug}' is already used by another category`);
+    }
+  }
+
+  if (!this.isNew && !this.isModified('parent')) {
+    return;
+  }
+
+  if (!this.parent) {
+    this.ancestors = [];
+  } else {
+    const parent = await this.constructor.findById(this.parent).select('ancestors');
+
+    if (!parent) {
+      this.invalidate('parent', 'Parent category not found');
+      return;
+    }
+    if (parent._id.equals(this._id) || parent.ancestors.some((id) => id.equals(this._id))) {
+      this.invalidate('parent', 'A category cannot be moved under itself or one of its subcategories');
+      return;
+    }
+
+    this.ancestors = [...parent.ancestors, parent._id];
+  }
+
+  this.$locals.ancestorsChanged = !this.isNew;
+});
+
+/**
+ * Category moved: its descendants get the new path above it
+ * (Lipstick under Lips under Makeup, Lips moved to Lip Care ->
+ *  Lipstick.ancestors becomes [...Lip Care path, Lips])
+ */
+categorySchema.post('save', async function () {
+  if (!this.$locals.ancestorsChanged) {
+    return;
+  }
+  this.$locals.ancestorsChanged = false;
+
+  const descendants = await this.constructor.find({ ancestors: this._id }).select('ancestors');
+  if (descendants.length === 0) {
+    return;
+  }
+
+  await this.constructor.bulkWrite(
+    descendants.map((descendant) => {
+      const below = descendant.ancestors.slice(
+        descendant.ancestors.findIndex((id) => id.equals(this._id))
+      );
+      return {
+        updateOne: {
+          filter: { _id: descendant._id },
+          update: { $set: { ancestors: [...this.ancestors, ...below] } }
+        }
+      };
+    })
+  );
+});
+
+/**
+ * STATIC METHOD: Find a category by slug or id
+ *
+ * WHY: Storefront URLs use slugs (?category=lips), admin tools use ids.
+ */
+categorySchema.statics.findBySlugOrId = function (value) {
+  const text = String(value).trim();
+  return /^[0-9a-f]{24}$/i.test(text)
+    ? this.findById(text)
+    : this.findOne({ slug: text.toLowerCase() });
+};
+
+/**
+ * STATIC METHOD: Ids of a category and all its descendants
+ *
+ * WHY: Filtering by "Makeup" should also list products filed under
+ * Makeup > Lips > Lipstick.
+ */
+categorySchema.statics.getSubtreeIds = async function (categoryId) {
+  const descendants = await this.find({ ancestors: categoryId }).select('_id');
+  return [categoryId, ...descendants.map((category) => category._id)];
+};
+
+/**
+ * STATIC METHOD: Build the nested category tree
+ *
+ * @param {Map<String, Number>} productCounts - Optional products per category id
+ * @returns {Promise<Array>} Top-level categories, each with `children` (sorted
+ *   by sortOrder, then name) and `productCount` including subcategories
+ */
+categorySchema.statics.getTree = async function (productCounts = new Map()) {
+  const categories = await this.find()
+    .select('name slug description image parent sortOrder')
+    .sort({ sortOrder: 1, name: 1 })
+    .lean();
+
+  const nodes = new Map(
+    categories.map((category) => [
+      category._id.toString(),
+      { ...category, productCount: productCounts.get(category._id.toString()) || 0, children: [] }
+    ])
+  );
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parent && nodes.get(node.parent.toString());
+    (parent ? parent.children : roots).push(node);
+  }
+
+  // Roll product counts up to the parents
+  const total = (node) => {
+    node.productCount += node.children.reduce((sum, child) => sum + total(child), 0);
+    return node.productCount;
+  };
+  roots.forEach(total);
+
+  return roots;
+};
+
+/**
+ * CATALOG CHANGE EVENTS: refresh in-memory catalog data (search suggestions)
+ * when categories change - see utils/catalogEvents.js
+ */
+categorySchema.post('save', function () {
+  emitCatalogChange({ model: 'Category', id: this._id, paths: null });
+});
+
+categorySchema.post('deleteOne', { document: true, query: false }, function () {
+  emitCatalogChange({ model: 'Category', id: this._id, paths: null });
+});
+
+const Category = mongoose.model('Category', categorySchema);
+
+export default Category;
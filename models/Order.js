@@ -19,6 +19,7 @@
  * Products, prices, addresses may change, but order should remain as it was.
  */
 
+import crypto from 'crypto';
 import mongoose from 'mongoose';
 
 /**
@@ -34,6 +35,16 @@ const orderItemSchema = new mongoose.Schema(
       ref: 'Product',
       required: true
     },
+    variant: {
+      type: mongoose.Schema.Types.ObjectId, // Product.variants._id, used for the stock decrement
+      default: null
+    },
+    variantLabel: {
+      type: String // Snapshot, e.g. "Ruby Red / 3.5g"
+    },
+    sku: {
+      type: String
+    },
     name: {
       type: String,
       required: true
@@ -129,10 +140,22 @@ const paymentResultSchema = new mongoose.Schema(
  */
 const orderSchema = new mongoose.Schema(
   {
+    orderNumber: {
+      type: String, // Human-friendly reference shown to customers (e.g. SHP-241019-K3F9QZ)
+      unique: true,
+      sparse: true // Orders placed before order numbers existed have none
+    },
     user: {
       type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-      required: true
+      ref: 'User' // Empty for guest orders until claimed by an account
+    },
+    guestEmail: {
+      type: String, // Contact email for guest checkout
+      lowercase: true,
+      trim: true
+    },
+    guestId: {
+      type: String // Guest cookie id the order was placed from
     },
     orderItems: [orderItemSchema],
     shippingAddress: shippingAddressSchema,
@@ -204,6 +227,26 @@ const orderSchema = new mongoose.Schema(
  */
 orderSchema.index({ user: 1 }); // Fast lookup of user's orders
 orderSchema.index({ orderStatus: 1 }); // Fast filtering by status
+orderSchema.index({ guestEmail: 1 }); // Claiming guest orders on signup/login
+
+/**
+ * PRE-VALIDATE HOOK: Assign order number, require an owner
+ * 
+ * Order numbers are random (not sequential) so they can't be used to
+ * guess other customers' orders in the guest order lookup.
+ */
+orderSchema.pre('validate', function (next) {
+  if (!this.orderNumber) {
+    const date = new Date().toISOString().slice(2, 10).replace(/-/g, '');
+    const suffix = crypto.randomBytes(4).readUInt32BE().toString(36).toUpperCase().padStart(6, '0');
+    this.orderNumber = `SHP-${date}-${suffix}`;
+  }
+
+  if (!this.user && !this.guestEmail) {
+    return next(new Error('Order must belong to a user or have a guest email'));
+  }
+  next();
+});
 
 /**
  * METHOD: Calculate order totals
@@ -228,6 +271,37 @@ orderSchema.methods.calculateTotals = function () {
   this.totalPrice = this.itemsPrice + this.taxPrice + this.shippingPrice;
 };
 
+/**
+ * STATIC METHOD: Attach guest orders to an account
+ * 
+ * WHY: Guests who later create an account should see their earlier
+ * orders in their order history.
+ * 
+ * SECURITY: Matching by email alone would let anyone sign up with someone
+ * else's address and read their orders. So guest orders are only claimed if
+ * the account's email is verified, or if they were placed from this same
+ * browser (guest cookie) with the same email.
+ */
+orderSchema.statics.claimGuestOrders = async function ({ userId, email, emailVerified, guestId }) {
+  const ownership = [];
+  if (emailVerified) {
+    ownership.push({ guestEmail: email });
+  }
+  if (guestId) {
+    ownership.push({ guestEmail: email, guestId });
+  }
+
+  if (ownership.length === 0) {
+    return 0;
+  }
+
+  const result = await this.updateMany(
+    { user: { $exists: false }, $or: ownership },
+    { $set: { user: userId } }
+  );
+  return result.modifiedCount;
+};
+
 const Order = mongoose.model('Order', orderSchema);
 
 export default Order;
@@ -16,7 +16,13 @@
  * - Categories and brands for filtering
  */
 
+import crypto from 'crypto';
 import mongoose from 'mongoose';
+import Brand from './Brand.js';
+import Category from './Category.js';
+import { slugify } from '../utils/slugify.js';
+import { emitCatalogChange } from '../utils/catalogEvents.js';
+import { buildRelevanceScore } from '../utils/queryBuilder.js';
 
 /**
  * Review Schema (Embedded in Product)
@@ -52,6 +58,71 @@ const reviewSchema = new mongoose.Schema(
   }
 );
 
+/**
+ * Variant Option Schema (Embedded in Product)
+ * 
+ * An option axis such as shade or size, with its values in display order
+ * (e.g. { name: 'shade', values: ['Ruby Red', 'Nude Pink'] }).
+ */
+const variantOptionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Variant option name is required'],
+      trim: true,
+      lowercase: true
+    },
+    values: [
+      {
+        type: String,
+        trim: true
+      }
+    ]
+  },
+  {
+    _id: false
+  }
+);
+
+/**
+ * Variant Schema (Embedded in Product)
+ * 
+ * WHY: A lipstick in 12 shades is one product page with one set of reviews,
+ * but each shade has its own SKU, price and stock. Variants keep their _id,
+ * which carts and orders reference.
+ */
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, 'Variant SKU is required'],
+    trim: true,
+    uppercase: true
+  },
+  options: {
+    // One value per option axis, e.g. { shade: 'Ruby Red', size: '3.5g' }
+    type: Map,
+    of: String,
+    required: true
+  },
+  price: {
+    type: Number,
+    required: [true, 'Variant price is required'],
+    min: [0, 'Price cannot be negative']
+  },
+  originalPrice: {
+    type: Number,
+    min: [0, 'Original price cannot be negative']
+  },
+  stock: {
+    type: Number,
+    default: 0,
+    min: [0, 'Stock cannot be negative']
+  },
+  swatch: {
+    type: String // Swatch image URL (shade colour chip)
+  }
+});
+
 /**
  * Product Schema
  */
@@ -64,6 +135,17 @@ const productSchema = new mongoose.Schema(
       maxlength: [200, 'Product name cannot exceed 200 characters'],
       index: true // Index for faster search
     },
+    slug: {
+      type: String, // SEO-friendly URL segment, generated from brand + name
+      unique: true,
+      sparse: true, // Products created before slugs existed (see utils/migrateProductSlugs.js)
+      lowercase: true,
+      trim: true
+    },
+    previousSlugs: {
+      type: [String], // Old slugs after a rename - redirected (301) to the current slug
+      index: true
+    },
     description: {
       type: String,
       required: [true, 'Product description is required'],
@@ -85,29 +167,33 @@ const productSchema = new mongoose.Schema(
       max: [100, 'Discount cannot exceed 100%']
     },
     category: {
-      type: String,
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category', // Most specific category (e.g. Lipstick, not Makeup)
       required: [true, 'Category is required'],
-      enum: [
-        'Makeup',
-        'Skincare',
-        'Haircare',
-        'Fragrance',
-        'Bath & Body',
-        'Tools & Brushes',
-        'Men',
-        'Appliances'
-      ],
+      validate: {
+        validator: async function (categoryId) {
+          // Only look it up when it changes, not on every stock/review save
+          return !this.isModified('category') || Boolean(await Category.exists({ _id: categoryId }));
+        },
+        message: 'Category not found'
+      },
       index: true // Index for category filtering
     },
     brand: {
-      type: String,
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Brand',
       required: [true, 'Brand is required'],
-      trim: true,
+      validate: {
+        validator: async function (brandId) {
+          return !this.isModified('brand') || Boolean(await Brand.exists({ _id: brandId }));
+        },
+        message: 'Brand not found'
+      },
       index: true // Index for brand filtering
     },
     images: [
       {
-        type: String, // Cloudinary URLs
+        type: String, // Image URLs (Cloudinary or local uploads) - first one is the main image
         required: true
       }
     ],
@@ -140,11 +226,21 @@ const productSchema = new mongoose.Schema(
       type: Boolean,
       default: false // For bestseller badge
     },
+    variantOptions: [variantOptionSchema], // Option axes (shade, size, pack)
+    variants: [variantSchema], // Empty for products sold in a single version
     tags: [String], // For additional filtering/search
     specifications: {
       // Product-specific details (varies by category)
       type: Map,
       of: String
+    },
+    archivedAt: {
+      type: Date, // Soft delete: archived products are hidden from the storefront
+      default: null
+    },
+    archivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
     }
   },
   {
@@ -167,6 +263,140 @@ productSchema.index({ name: 'text', description: 'text' }); // Text search
 productSchema.index({ category: 1, brand: 1 }); // Compound index for filtering
 productSchema.index({ price: 1 }); // For price sorting
 productSchema.index({ rating: -1 }); // For rating sorting
+productSchema.index({ 'variants.sku': 1 }, { unique: true, sparse: true }); // SKUs are unique catalog-wide
+
+/**
+ * Base slug for a product: brand + name, without repeating the brand when
+ * the name already starts with it ("Lakme" + "Lakme Kajal" -> "lakme-kajal")
+ */
+const buildBaseSlug = (brand, name) => {
+  const brandSlug = slugify(brand);
+  const nameSlug = slugify(name);
+  const base = nameSlug.startsWith(`${brandSlug}-`) || nameSlug === brandSlug
+    ? nameSlug
+    : `${brandSlug}-${nameSlug}`;
+
+  return base.replace(/^-+|-+$/g, '') || 'product';
+};
+
+/**
+ * SLUG GENERATION
+ * 
+ * WHY: Product URLs (/products/lakme-absolute-kajal) are what customers
+ * share and search engines index, so they must be unique and stable.
+ * 
+ * HOW:
+ * - New product, or brand/name changed: slug is regenerated from brand + name
+ * - Admin can also set `slug` directly (normalized the same way)
+ * - Collisions get a numeric suffix: lakme-kajal, lakme-kajal-2, ...
+ *   (a slug another product used before is also taken, so its redirect keeps working)
+ * - The old slug is kept in previousSlugs so old links can 301 to the new one
+ */
+productSchema.post('init', function () {
+  this.$locals.loadedSlug = this.slug; // Slug as stored, before any edits
+});
+
+productSchema.post('save', function () {
+  this.$locals.loadedSlug = this.slug;
+});
+
+productSchema.pre('validate', async function () {
+  const slugEdited = Boolean(this.slug) && this.isModified('slug');
+  const needsSlug = !this.slug || this.isModified('name') || this.isModified('brand');
+
+  if (!slugEdited && !needsSlug) {
+    return;
+  }
+
+  const previousSlug = this.$locals.loadedSlug;
+  let base;
+  if (slugEdited) {
+    base = slugify(this.slug) || 'product';
+  } else {
+    const brand = this.populated('brand') ? this.brand : await Brand.findById(this.brand).select('name');
+    base = buildBaseSlug(brand?.name, this.name);
+  }
+
+  // Unchanged (e.g. name edited only in letter case)
+  if (previousSlug && base === previousSlug) {
+    this.slug = previousSlug;
+    return;
+  }
+
+  const isTaken = (candidate) => this.constructor.exists({
+    _id: { $ne: this._id },
+    $or: [{ slug: candidate }, { previousSlugs: candidate }]
+  });
+
+  let candidate = base;
+  for (let suffix = 2; await isTaken(candidate); suffix++) {
+    if (slugEdited) {
+      this.invalidate('slug', `Slug '${base}' is already used by another product`);
+      return;
+    }
+    // Give up counting after many collisions and use a random suffix instead
+    candidate = suffix <= 50 ? `${base}-${suffix}` : `${base}-${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  this.slug = candidate;
+
+  if (previousSlug && previousSlug !== candidate && !this.previousSlugs.includes(previousSlug)) {
+    this.previousSlugs.push(previousSlug);
+  }
+
+  // Renamed back to an old name: that slug is current again, not a redirect
+  this.previousSlugs = this.previousSlugs.filter((slug) => slug !== candidate);
+});
+
+/**
+ * VALIDATION + SYNC: Variants
+ * 
+ * WHY: Every variant must pick exactly one value per option axis, and no two
+ * variants may be the same combination. The product-level price/stock are
+ * then derived from the variants so listings, filters and sorting keep working
+ * ("from" price = cheapest variant, stock = total across variants).
+ */
+productSchema.pre('validate', function (next) {
+  if (this.variants.length === 0) {
+    return next();
+  }
+
+  const axes = this.variantOptions.map((option) => option.name);
+  const skus = new Set();
+  const combinations = new Set();
+
+  for (const variant of this.variants) {
+    const keys = variant.options ? [...variant.options.keys()] : [];
+    const unknown = keys.filter((key) => !axes.includes(key));
+    if (unknown.length > 0) {
+      this.invalidate('variants', `Variant ${variant.sku} uses unknown option: ${unknown.join(', ')}`);
+      continue;
+    }
+
+    for (const option of this.variantOptions) {
+      const value = variant.options?.get(option.name);
+      if (!value) {
+        this.invalidate('variants', `Variant ${variant.sku} is missing option '${option.name}'`);
+      } else if (option.values.length > 0 && !option.values.includes(value)) {
+        this.invalidate('variants', `Variant ${variant.sku} has invalid ${option.name} '${value}'`);
+      }
+    }
+
+    const combination = axes.map((axis) => variant.options?.get(axis)).join('|');
+    if (combinations.has(combination)) {
+      this.invalidate('variants', `Duplicate variant: ${this.getVariantLabel(variant)}`);
+    }
+    combinations.add(combination);
+
+    if (skus.has(variant.sku)) {
+      this.invalidate('variants', `Duplicate SKU: ${variant.sku}`);
+    }
+    skus.add(variant.sku);
+  }
+
+  this.syncVariantSummary();
+  next();
+});
 
 /**
  * VIRTUAL: Calculate discount percentage
@@ -200,24 +430,198 @@ productSchema.methods.calculateRating = function () {
 };
 
 /**
- * STATIC METHOD: Get all categories
+ * METHOD: Derive product-level price/stock from variants
+ * 
+ * WHY: Called before every save so the summary never drifts from variants.
+ */
+productSchema.methods.syncVariantSummary = function () {
+  if (this.variants.length === 0) {
+    return;
+  }
+
+  // "From" price: cheapest variant that can actually be bought
+  const inStock = this.variants.filter((variant) => variant.stock > 0);
+  const cheapest = (inStock.length > 0 ? inStock : this.variants)
+    .reduce((min, variant) => (variant.price < min.price ? variant : min));
+  this.price = cheapest.price;
+  this.originalPrice = cheapest.originalPrice || cheapest.price;
+  this.discount = this.originalPrice > this.price
+    ? Math.round(((this.originalPrice - this.price) / this.originalPrice) * 100)
+    : 0;
+
+  this.stock = this.variants.reduce((total, variant) => total + variant.stock, 0);
+  this.inStock = this.stock > 0;
+};
+
+/**
+ * METHOD: Human readable variant name, e.g. "Ruby Red / 3.5g"
+ * 
+ * WHY: Stored on cart and order items so they still read correctly if the
+ * variant is later renamed or removed.
+ */
+productSchema.methods.getVariantLabel = function (variant) {
+  return this.variantOptions
+    .map((option) => variant.options?.get(option.name))
+    .filter(Boolean)
+    .join(' / ');
+};
+
+/**
+ * METHOD: Check if product has been archived (soft deleted)
+ * 
+ * WHY: Archived products stay in the database so orders, reviews and sales
+ * reports that reference them keep working, but they can't be bought.
+ */
+productSchema.methods.isArchived = function () {
+  return Boolean(this.archivedAt);
+};
+
+/**
+ * METHOD: Decrease stock after a sale (variant stock when variantId is given)
+ * 
+ * Call save() afterwards. A variant that no longer exists is skipped.
+ */
+productSchema.methods.decrementStock = function (quantity, variantId) {
+  if (variantId) {
+    const variant = this.variants.id(variantId);
+    if (variant) {
+      variant.stock -= quantity;
+      this.syncVariantSummary();
+    }
+    return;
+  }
+
+  this.stock -= quantity;
+  this.inStock = this.stock > 0;
+};
+
+/**
+ * STATIC METHOD: Count listed products per category or brand
  * 
  * WHY STATIC: Called on the model, not an instance.
- * Useful for populating category filters in frontend.
+ * Feeds the product counts shown in the category tree and brand list.
+ * 
+ * @param {String} field - 'category' or 'brand'
+ * @returns {Promise<Map<String, Number>>} category/brand id -> product count
  */
-productSchema.statics.getCategories = function () {
-  return this.distinct('category');
+productSchema.statics.getListedCounts = async function (field) {
+  const counts = await this.aggregate([
+    { $match: { archivedAt: null } },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(({ _id, count }) => [String(_id), count]));
 };
 
 /**
- * STATIC METHOD: Get all brands
+ * STATIC METHOD: Find one page of a product listing (without reviews)
  * 
- * WHY STATIC: Called on the model to get unique brands.
+ * WHY: Relevance sorting (text searches) ranks by a computed score
+ * (see buildRelevanceScore), which needs an aggregation instead of find().
+ * Both ways return Product documents, so callers populate them the same way.
+ * 
+ * @param {Object} filter - From buildProductFilter
+ * @param {Object} options - { sort (from buildProductSort), skip, limit (0 = all),
+ *   after (cursor range filter from paginate()) }
  */
-productSchema.statics.getBrands = function () {
-  return this.distinct('brand');
+productSchema.statics.findForListing = async function (filter, { sort, skip = 0, limit = 0, after = null }) {
+  if (!sort.relevance) {
+    return this.find(after ? { $and: [filter, after] } : filter).sort(sort).skip(skip).limit(limit).select('-reviews');
+  }
+
+  const results = await this.aggregate([
+    { $match: filter },
+    { $addFields: { relevance: buildRelevanceScore() } },
+    ...(after ? [{ $match: after }] : []), // The cursor filter can compare relevance
+    { $sort: sort },
+    { $skip: skip },
+    ...(limit > 0 ? [{ $limit: limit }] : []),
+    { $project: { reviews: 0 } }
+  ]);
+  return results.map(({ relevance, ...result }) => {
+    const product = this.hydrate(result, { reviews: 0 });
+    product.$locals.sortValues = { relevance }; // For pagination cursors
+    return product;
+  });
 };
 
+/**
+ * STATIC METHOD: Products related to a product, best matches first
+ * 
+ * WHY: Cross-selling on the product page ("You may also like"). Candidates
+ * share the category (or a sibling category), brand or a tag, and are
+ * scored by what they share:
+ * - same category 3, nearby category 1.5 (same parent, or a subcategory
+ *   of a top-level category)
+ * - same brand 2
+ * - 1 per shared tag (max 3)
+ * - price within ±25% 1 (similar budget)
+ * Ties go to in-stock, then better rated products.
+ * 
+ * @param {Object} product - Product document (category, brand, tags, price)
+ * @param {Object} options - { limit }
+ */
+productSchema.statics.findRelated = async function (product, { limit }) {
+  const category = await Category.findById(product.category).select('parent');
+  // Siblings under the same parent; for a top-level category, its subcategories
+  const nearbyCategories = await Category.getSubtreeIds(category?.parent || product.category);
+  const tags = product.tags || [];
+
+  const results = await this.aggregate([
+    {
+      $match: {
+        _id: { $ne: product._id },
+        archivedAt: null,
+        $or: [
+          { category: { $in: nearbyCategories } },
+          { brand: product.brand },
+          ...(tags.length > 0 ? [{ tags: { $in: tags } }] : [])
+        ]
+      }
+    },
+    {
+      $addFields: {
+        relatedScore: {
+          $add: [
+            { $cond: [{ $eq: ['$category', product.category] }, 3, { $cond: [{ $in: ['$category', nearbyCategories] }, 1.5, 0] }] },
+            { $cond: [{ $eq: ['$brand', product.brand] }, 2, 0] },
+            { $min: [3, { $size: { $setIntersection: [{ $ifNull: ['$tags', []] }, tags] } }] },
+            { $cond: [{ $and: [{ $gte: ['$price', product.price * 0.75] }, { $lte: ['$price', product.price * 1.25] }] }, 1, 0] }
+          ]
+        }
+      }
+    },
+    { $sort: { relatedScore: -1, inStock: -1, rating: -1, numReviews: -1, _id: 1 } },
+    { $limit: limit },
+    { $project: { reviews: 0, relatedScore: 0 } }
+  ]);
+  return results.map((result) => this.hydrate(result, { reviews: 0 }));
+};
+
+/**
+ * CATALOG CHANGE EVENTS
+ * 
+ * WHY: In-memory data built from the catalog (search suggestions) is
+ * refreshed when products change - see utils/catalogEvents.js.
+ */
+productSchema.pre('save', function () {
+  this.$locals.changedPaths = this.isNew ? null : this.modifiedPaths();
+});
+
+productSchema.post('save', function () {
+  emitCatalogChange({ model: 'Product', id: this._id, paths: this.$locals.changedPaths });
+});
+
+productSchema.post('insertMany', function () {
+  emitCatalogChange({ model: 'Product', id: null, paths: null });
+});
+
+productSchema.post(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function () {
+    emitCatalogChange({ model: 'Product', id: null, paths: null });
+  }
+);
+
 const Product = mongoose.model('Product', productSchema);
 
 export default Product;
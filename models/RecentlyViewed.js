@@ -0,0 +1,143 @@
+/**
+ * Recently Viewed Model Schema
+ *
+ * PROBLEM IT SOLVES: Shoppers compare a few products over several visits
+ * and lose track of the one they liked. The storefront shows a "Recently
+ * viewed" strip, on any device the customer logs in on.
+ *
+ * HOW IT WORKS: One document per user (or guest cookie id) holding the last
+ * RECENTLY_VIEWED_LIMIT (default 20) products viewed, newest first, each
+ * product once. Product pages record views (see recordView); a guest's
+ * history is merged into their account when they log in.
+ *
+ * REAL-WORLD: Amazon's "Your browsing history", Nykaa's "Recently viewed".
+ */
+
+import mongoose from 'mongoose';
+
+const getHistoryLimit = () => Number(process.env.RECENTLY_VIEWED_LIMIT) || 20;
+
+const recentlyViewedSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      unique: true,
+      sparse: true // Guest histories have no user
+    },
+    guestId: {
+      type: String, // Signed guest cookie id (see middleware/guest.js)
+      unique: true,
+      sparse: true
+    },
+    items: [
+      {
+        _id: false,
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Product',
+          required: true
+        },
+        viewedAt: {
+          type: Date,
+          required: true
+        }
+      }
+    ]
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Guest histories are removed after 30 days without views (like guest carts)
+recentlyViewedSchema.index(
+  { updatedAt: 1 },
+  { expireAfterSeconds: 30 * 24 * 60 * 60, partialFilterExpression: { guestId: { $exists: true } } }
+);
+
+/**
+ * STATIC METHOD: Record a product view
+ *
+ * WHY ONE UPDATE: Moving the product to the front, removing its older entry
+ * and capping the list happen in a single atomic pipeline update, so two
+ * tabs loading products at once can't duplicate or lose entries.
+ *
+ * @param {Object} owner - { user } or { guestId }
+ * @param {ObjectId} productId
+ */
+recentlyViewedSchema.statics.recordView = function (owner, productId) {
+  const now = new Date();
+  const product = new mongoose.Types.ObjectId(String(productId));
+
+  return this.updateOne(
+    owner,
+    [
+      {
+        $set: {
+          items: {
+            $slice: [
+              {
+                $concatArrays: [
+                  [{ product, viewedAt: now }],
+                  {
+                    $filter: {
+                      input: { $ifNull: ['$items', []] },
+                      cond: { $ne: ['$$this.product', product] }
+                    }
+                  }
+                ]
+              },
+              getHistoryLimit()
+            ]
+          },
+          createdAt: { $ifNull: ['$createdAt', now] },
+          updatedAt: now
+        }
+      }
+    ],
+    { upsert: true, timestamps: false }
+  );
+};
+
+/**
+ * STATIC METHOD: Merge a guest's history into a user's
+ *
+ * WHY: Products viewed before logging in should still show up afterwards.
+ * Both lists are combined newest first, each product kept once (its latest
+ * view), capped at the history limit. The guest history is deleted.
+ */
+recentlyViewedSchema.statics.mergeGuestHistory = async function (guestId, userId) {
+  const guestHistory = await this.findOne({ guestId });
+  if (!guestHistory) {
+    return null;
+  }
+
+  let history = await this.findOne({ user: userId });
+  if (!history) {
+    history = new this({ user: userId });
+  }
+
+  const seen = new Set();
+  history.items = [...guestHistory.items, ...history.items]
+    .sort((a, b) => b.viewedAt - a.viewedAt)
+    .filter((item) => {
+      const key = item.product.toString();
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    })
+    .slice(0, getHistoryLimit())
+    .map(({ product, viewedAt }) => ({ product, viewedAt }));
+
+  await history.save();
+  await guestHistory.deleteOne();
+
+  return history;
+};
+
+const RecentlyViewed = mongoose.model('RecentlyViewed', recentlyViewedSchema);
+
+export default RecentlyViewed;
@@ -0,0 +1,244 @@
+/**
+ * Refresh Token Model Schema
+ *
+ * PROBLEM IT SOLVES: Refresh tokens used to be stateless JWTs, so the server
+ * had no way to revoke one or notice when a stolen token was replayed.
+ *
+ * HOW IT WORKS: Every login starts a token "family" (one document per family).
+ * The document remembers the jti of the only refresh token in that family
+ * that may still be used. Each refresh rotates the jti; presenting an older
+ * jti from the same family means the token was copied, so the whole family
+ * is revoked and both the attacker and the victim must log in again.
+ *
+ * A family is also the user's *session* on one device: it records the user
+ * agent, IP and last activity, access tokens carry its id (`sid`), and
+ * revoking it logs that device out (see GET/DELETE /api/auth/sessions).
+ *
+ * REAL-WORLD APPROACH: This is the refresh token rotation + reuse detection
+ * scheme recommended by OAuth 2.0 Security BCP and used by Auth0, Okta, etc.
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import jwt from 'jsonwebtoken';
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    jti: {
+      type: String, // ID of the current (latest) token in this family
+      required: true
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    revokedAt: {
+      type: Date
+    },
+    revokedReason: {
+      type: String,
+      enum: [
+        'logout',
+        'reuse-detected',
+        'password-reset',
+        'password-change',
+        'session-revoked', // User logged the device out from their session list
+        'admin-logout', // Admin forced logout
+        'account-change' // Admin changed the account's email or role
+      ]
+    },
+    userAgent: {
+      type: String,
+      maxlength: 500
+    },
+    ip: {
+      type: String // IP of the most recent login/refresh
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+/**
+ * INDEXES
+ *
+ * - user: revoke every family of a user (password reset, logout everywhere)
+ * - expiresAt: TTL index so MongoDB deletes expired families automatically
+ */
+refreshTokenSchema.index({ user: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Sign a refresh token for this family with a fresh jti and store that jti
+ * as the only valid one. Does not save the document.
+ */
+refreshTokenSchema.methods.sign = function (user) {
+  this.jti = crypto.randomUUID();
+  const token = user.generateRefreshToken({ fid: this._id, jti: this.jti });
+  this.expiresAt = new Date(jwt.decode(token).exp * 1000);
+  return token;
+};
+
+/**
+ * Revoke this family. Already revoked families keep their original reason.
+ */
+refreshTokenSchema.methods.revoke = function (reason) {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+  }
+  return this.save();
+};
+
+/**
+ * STATIC METHOD: Start a new token family (session) for a user (login/signup)
+ *
+ * @param {Object} user - User document
+ * @param {Object} context - { userAgent, ip } of the device logging in
+ * @returns {Promise<Object>} { refreshToken, sessionId }
+ */
+refreshTokenSchema.statics.issue = async function (user, { userAgent, ip } = {}) {
+  const family = new this({
+    user: user._id,
+    userAgent: userAgent ? userAgent.slice(0, 500) : undefined,
+    ip
+  });
+  const refreshToken = family.sign(user);
+  await family.save();
+  return { refreshToken, sessionId: family._id };
+};
+
+/**
+ * STATIC METHOD: Exchange a refresh token for a new one
+ *
+ * FLOW:
+ * 1. Verify JWT signature/expiry and load its family
+ * 2. Reject if the family is revoked or the user no longer exists
+ * 3. If the token is not the family's latest one, it was replayed:
+ *    revoke the whole family
+ * 4. Otherwise rotate the jti, update last activity and return the new token
+ *
+ * @returns {Promise<Object|null>} { user, refreshToken, sessionId } or null if rejected
+ */
+refreshTokenSchema.statics.rotate = async function (token, { ip } = {}) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_REFRESH_SECRET);
+  } catch (error) {
+    return null;
+  }
+
+  if (!decoded.fid || !decoded.jti) {
+    return null; // Token issued before rotation was introduced
+  }
+
+  const family = await this.findById(decoded.fid);
+  if (!family || family.revokedAt) {
+    return null;
+  }
+
+  if (family.jti !== decoded.jti) {
+    await family.revoke('reuse-detected');
+    return null;
+  }
+
+  const User = mongoose.model('User');
+  const user = await User.findById(family.user);
+  if (!user) {
+    return null;
+  }
+
+  // Rotate atomically so two concurrent refreshes cannot both succeed
+  const previousJti = family.jti;
+  const refreshToken = family.sign(user);
+  const rotated = await this.findOneAndUpdate(
+    { _id: family._id, jti: previousJti, revokedAt: null },
+    { jti: family.jti, expiresAt: family.expiresAt, lastSeenAt: new Date(), ...(ip && { ip }) }
+  );
+
+  if (!rotated) {
+    return null;
+  }
+
+  return { user, refreshToken, sessionId: family._id };
+};
+
+/**
+ * STATIC METHOD: Revoke the family a refresh token belongs to (logout)
+ *
+ * Invalid or expired tokens are ignored - there is nothing left to revoke.
+ */
+refreshTokenSchema.statics.revokeByToken = async function (token, reason = 'logout') {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_REFRESH_SECRET, { ignoreExpiration: true });
+  } catch (error) {
+    return;
+  }
+
+  if (!decoded.fid) {
+    return;
+  }
+
+  const family = await this.findById(decoded.fid);
+  if (family) {
+    await family.revoke(reason);
+  }
+};
+
+/**
+ * STATIC METHOD: Revoke every active family of a user
+ *
+ * @param {String} exceptSessionId - Keep this session (e.g. "log out other devices")
+ */
+refreshTokenSchema.statics.revokeAllForUser = function (userId, reason, exceptSessionId) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  return this.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+};
+
+/**
+ * STATIC METHOD: List a user's active sessions (most recently used first)
+ */
+refreshTokenSchema.statics.findActiveSessions = function (userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+    .select('userAgent ip createdAt lastSeenAt expiresAt')
+    .sort({ lastSeenAt: -1 });
+};
+
+/**
+ * STATIC METHOD: Check that a session is still active
+ *
+ * WHY: Access tokens carry their session id, so revoking a session
+ * (logout, force-logout, password reset) cuts off its access tokens too,
+ * not just its refresh token.
+ */
+refreshTokenSchema.statics.isSessionActive = async function (sessionId) {
+  const session = await this.exists({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  return Boolean(session);
+};
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+export default RefreshToken;
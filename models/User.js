@@ -9,14 +9,75 @@
  * 
  * REAL-WORLD APPROACH: Companies use similar schemas with:
  * - Password hashing before saving (never store plain passwords)
- * - Role-based access control (user/admin)
+ * - Role-based access control (roles map to permissions, see config/permissions.js)
  * - Timestamps for audit trails
  * - Methods for authentication (comparePassword, generateTokens)
  */
 
 import mongoose from 'mongoose';
+import crypto from 'crypto';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
+import { ROLES, ROLE_PERMISSIONS, ALL_PERMISSIONS } from '../config/permissions.js';
+import { generateTotpSecret, verifyTotp, buildOtpAuthUri } from '../utils/totp.js';
+
+/**
+ * Address Schema (Embedded in User address book)
+ * 
+ * WHY: Same fields as the order's shipping address, so a saved address
+ * can be copied straight into an order at checkout.
+ */
+const addressSchema = new mongoose.Schema(
+  {
+    label: {
+      type: String,
+      enum: ['home', 'work', 'other'],
+      default: 'home'
+    },
+    name: {
+      type: String,
+      required: [true, 'Recipient name is required'],
+      trim: true
+    },
+    phone: {
+      type: String,
+      required: [true, 'Phone is required'],
+      trim: true
+    },
+    address: {
+      type: String,
+      required: [true, 'Address is required'],
+      trim: true
+    },
+    city: {
+      type: String,
+      required: [true, 'City is required'],
+      trim: true
+    },
+    state: {
+      type: String,
+      required: [true, 'State is required'],
+      trim: true
+    },
+    zipCode: {
+      type: String,
+      required: [true, 'Zip code is required'],
+      trim: true
+    },
+    country: {
+      type: String,
+      default: 'India',
+      trim: true
+    },
+    isDefault: {
+      type: Boolean,
+      default: false // Default shipping address
+    }
+  },
+  {
+    timestamps: true
+  }
+);
 
 const userSchema = new mongoose.Schema(
   {
@@ -42,9 +103,15 @@ const userSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ['user', 'admin'],
+      enum: ROLES, // See config/permissions.js
       default: 'user'
     },
+    permissions: [
+      {
+        type: String, // Extra permissions on top of the role's permissions
+        enum: ALL_PERMISSIONS
+      }
+    ],
     phone: {
       type: String,
       trim: true
@@ -56,13 +123,58 @@ const userSchema = new mongoose.Schema(
       zipCode: String,
       country: String
     },
+    addresses: [addressSchema], // Address book
     avatar: {
-      type: String, // Cloudinary URL
+      type: String, // Image URL (uploaded via PUT /api/auth/me/avatar)
       default: ''
     },
+    avatarStorageUrl: {
+      type: String, // Avatar this user uploaded - the only image avatar changes may delete from storage
+      select: false
+    },
     isEmailVerified: {
       type: Boolean,
       default: false
+    },
+    passwordResetToken: {
+      type: String, // SHA-256 hash of the emailed token, never the token itself
+      select: false
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false
+    },
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+      select: false
+    },
+    lockoutCount: {
+      type: Number, // How many times the account has been locked (drives progressive lockout)
+      default: 0,
+      select: false
+    },
+    lockUntil: {
+      type: Date,
+      select: false
+    },
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false
+    },
+    twoFactorSecret: {
+      type: String, // Base32 TOTP secret (pending until enrolment is confirmed)
+      select: false
+    },
+    twoFactorRecoveryCodes: [
+      {
+        type: String, // SHA-256 hashes of unused one-time recovery codes
+        select: false
+      }
+    ],
+    twoFactorLastUsedStep: {
+      type: Number, // Last accepted TOTP time step - blocks replaying a code
+      select: false
     }
   },
   {
@@ -105,17 +217,286 @@ userSchema.methods.comparePassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+/**
+ * INSTANCE METHOD: Get effective permissions (role permissions + extra grants)
+ */
+userSchema.methods.getPermissions = function () {
+  const rolePermissions = ROLE_PERMISSIONS[this.role] || [];
+  return [...new Set([...rolePermissions, ...(this.permissions || [])])];
+};
+
+/**
+ * INSTANCE METHOD: Check if user has a permission
+ */
+userSchema.methods.hasPermission = function (permission) {
+  return this.getPermissions().includes(permission);
+};
+
+/**
+ * INSTANCE METHOD: Check if user is staff (has any permission at all)
+ */
+userSchema.methods.isStaff = function () {
+  return this.getPermissions().length > 0;
+};
+
+/**
+ * INSTANCE METHOD: Check if account is temporarily locked
+ * 
+ * NOTE: failedLoginAttempts/lockUntil are select: false - query with
+ * .select('+failedLoginAttempts +lockoutCount +lockUntil') before calling.
+ */
+userSchema.methods.isLocked = function () {
+  return Boolean(this.lockUntil && this.lockUntil > Date.now());
+};
+
+/**
+ * INSTANCE METHOD: Record a failed login attempt
+ * 
+ * WHY: Stops password guessing against a single account, even when the
+ * attacker rotates IPs (which defeats per-IP throttling).
+ * 
+ * HOW: After LOGIN_MAX_ATTEMPTS failures the account is locked for
+ * LOGIN_LOCKOUT_MINUTES. Every further lockout doubles the duration
+ * (progressive lockout), capped at 24 hours. Counters reset on successful login.
+ */
+userSchema.methods.registerFailedLogin = function () {
+  const maxAttempts = Number(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+  const baseLockoutMinutes = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+
+  this.failedLoginAttempts = (this.failedLoginAttempts || 0) + 1;
+
+  if (this.failedLoginAttempts >= maxAttempts) {
+    const lockoutMinutes = Math.min(
+      baseLockoutMinutes * 2 ** (this.lockoutCount || 0),
+      24 * 60
+    );
+    this.lockUntil = new Date(Date.now() + lockoutMinutes * 60 * 1000);
+    this.lockoutCount = (this.lockoutCount || 0) + 1;
+    this.failedLoginAttempts = 0;
+  }
+
+  return this.save();
+};
+
+/**
+ * INSTANCE METHOD: Reset lockout counters after a successful login
+ */
+userSchema.methods.resetLoginAttempts = function () {
+  if (!this.failedLoginAttempts && !this.lockoutCount && !this.lockUntil) {
+    return Promise.resolve(this);
+  }
+
+  this.failedLoginAttempts = 0;
+  this.lockoutCount = 0;
+  this.lockUntil = undefined;
+  return this.save();
+};
+
+/**
+ * INSTANCE METHOD: Start 2FA enrolment
+ * 
+ * HOW: Generates a new secret and stores it while twoFactorEnabled stays
+ * false. 2FA only switches on once the user proves their app works by
+ * entering a valid code (see confirmTwoFactor). Caller must save.
+ * 
+ * @returns {Object} { secret, otpauthUri } to show as QR code
+ */
+userSchema.methods.startTwoFactorEnrolment = function () {
+  this.twoFactorSecret = generateTotpSecret();
+  this.twoFactorLastUsedStep = undefined;
+
+  return {
+    secret: this.twoFactorSecret,
+    otpauthUri: buildOtpAuthUri({
+      secret: this.twoFactorSecret,
+      accountName: this.email,
+      issuer: process.env.TWO_FACTOR_ISSUER || 'Shopora'
+    })
+  };
+};
+
+/**
+ * INSTANCE METHOD: Generate new one-time recovery codes
+ * 
+ * WHY: Lets users log in if they lose their phone. Only SHA-256 hashes are
+ * stored; the plain codes are returned once to be shown to the user.
+ * Caller must save.
+ */
+userSchema.methods.generateRecoveryCodes = function (count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  this.twoFactorRecoveryCodes = codes.map((code) =>
+    crypto.createHash('sha256').update(code).digest('hex')
+  );
+
+  return codes;
+};
+
+/**
+ * INSTANCE METHOD: Verify a 2FA code (TOTP or recovery code)
+ * 
+ * NOTE: Requires .select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep').
+ * Mutates the user (records used step / consumes recovery code) - caller must save.
+ * 
+ * @param {Object} input - { code } for authenticator codes or { recoveryCode }
+ * @returns {Boolean}
+ */
+userSchema.methods.verifyTwoFactorCode = function ({ code, recoveryCode }) {
+  if (!this.twoFactorSecret) {
+    return false;
+  }
+
+  if (recoveryCode) {
+    const hashed = crypto
+      .createHash('sha256')
+      .update(String(recoveryCode).trim().toLowerCase())
+      .digest('hex');
+    const index = this.twoFactorRecoveryCodes.indexOf(hashed);
+    if (index === -1) {
+      return false;
+    }
+    this.twoFactorRecoveryCodes.splice(index, 1); // One-time use
+    return true;
+  }
+
+  const step = verifyTotp(this.twoFactorSecret, code);
+  if (step === null || (this.twoFactorLastUsedStep !== undefined && step <= this.twoFactorLastUsedStep)) {
+    return false;
+  }
+
+  this.twoFactorLastUsedStep = step;
+  return true;
+};
+
+/**
+ * INSTANCE METHOD: Turn off 2FA and forget the secret + recovery codes
+ */
+userSchema.methods.disableTwoFactor = function () {
+  this.twoFactorEnabled = false;
+  this.twoFactorSecret = undefined;
+  this.twoFactorRecoveryCodes = [];
+  this.twoFactorLastUsedStep = undefined;
+};
+
+/**
+ * INSTANCE METHOD: Check if this user must have 2FA enabled
+ * 
+ * WHY: With REQUIRE_2FA_FOR_STAFF=true, every account holding staff
+ * permissions (anything beyond a customer) must enrol before using staff routes.
+ */
+userSchema.methods.requiresTwoFactor = function () {
+  return process.env.REQUIRE_2FA_FOR_STAFF === 'true' && this.isStaff();
+};
+
+/**
+ * INSTANCE METHOD: Generate short-lived 2FA login challenge token
+ * 
+ * WHY: After a correct password, users with 2FA get this instead of real
+ * tokens. It only proves step one succeeded and can't access any API.
+ */
+userSchema.methods.generateTwoFactorChallengeToken = function () {
+  return jwt.sign(
+    { userId: this._id, purpose: '2fa-challenge' },
+    process.env.JWT_ACCESS_SECRET,
+    { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m' }
+  );
+};
+
+/**
+ * STATIC METHOD: Find user from a 2FA challenge token (null if invalid/expired)
+ */
+userSchema.statics.findByTwoFactorChallengeToken = async function (token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+  } catch (error) {
+    return null;
+  }
+
+  if (decoded.purpose !== '2fa-challenge') {
+    return null;
+  }
+
+  return this.findById(decoded.userId).select(
+    '+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep +failedLoginAttempts +lockoutCount +lockUntil'
+  );
+};
+
+/**
+ * INSTANCE METHOD: Add address to address book
+ * 
+ * WHY: Keeps exactly one default shipping address. The first address
+ * becomes the default automatically.
+ */
+userSchema.methods.addAddress = function (addressData) {
+  const makeDefault = addressData.isDefault || this.addresses.length === 0;
+  if (makeDefault) {
+    this.addresses.forEach((address) => {
+      address.isDefault = false;
+    });
+  }
+
+  this.addresses.push({ ...addressData, isDefault: makeDefault });
+  return this.addresses[this.addresses.length - 1];
+};
+
+/**
+ * INSTANCE METHOD: Mark an address as the default shipping address
+ */
+userSchema.methods.setDefaultAddress = function (addressId) {
+  const target = this.addresses.id(addressId);
+  if (!target) {
+    return null;
+  }
+
+  this.addresses.forEach((address) => {
+    address.isDefault = address._id.equals(target._id);
+  });
+  return target;
+};
+
+/**
+ * INSTANCE METHOD: Remove address from address book
+ * 
+ * If the default address is removed, the first remaining one becomes default.
+ */
+userSchema.methods.removeAddress = function (addressId) {
+  const target = this.addresses.id(addressId);
+  if (!target) {
+    return false;
+  }
+
+  const wasDefault = target.isDefault;
+  this.addresses.pull(target._id);
+
+  if (wasDefault && this.addresses.length > 0) {
+    this.addresses[0].isDefault = true;
+  }
+  return true;
+};
+
+/**
+ * INSTANCE METHOD: Get default shipping address (if any)
+ */
+userSchema.methods.getDefaultAddress = function () {
+  return this.addresses.find((address) => address.isDefault) || null;
+};
+
 /**
  * INSTANCE METHOD: Generate JWT Access Token
  * 
  * WHY: Access tokens are short-lived (15min) for security. If stolen, they expire quickly.
  * Contains user ID and role for authorization.
  */
-userSchema.methods.generateAccessToken = function () {
+userSchema.methods.generateAccessToken = function (sessionId) {
   return jwt.sign(
     { 
       userId: this._id,
-      role: this.role 
+      role: this.role,
+      ...(sessionId && { sid: sessionId }) // Session (refresh token family) the token belongs to
     },
     process.env.JWT_ACCESS_SECRET,
     { expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m' }
@@ -127,15 +508,105 @@ userSchema.methods.generateAccessToken = function () {
  * 
  * WHY: Refresh tokens are long-lived (7 days) and stored in httpOnly cookies.
  * Used to get new access tokens without re-login. More secure than storing in localStorage.
+ *
+ * @param {Object} claims - Extra claims (token family id + jti, see RefreshToken model)
  */
-userSchema.methods.generateRefreshToken = function () {
+userSchema.methods.generateRefreshToken = function (claims = {}) {
   return jwt.sign(
-    { userId: this._id },
+    { userId: this._id, ...claims },
     process.env.JWT_REFRESH_SECRET,
     { expiresIn: process.env.JWT_REFRESH_EXPIRE || '7d' }
   );
 };
 
+/**
+ * Email verification links are signed with their own secret: a key shared
+ * with access tokens would let one kind of token pass as the other.
+ */
+const getEmailTokenSecret = () => {
+  if (!process.env.JWT_EMAIL_SECRET) {
+    throw new Error('JWT_EMAIL_SECRET is not set');
+  }
+  return process.env.JWT_EMAIL_SECRET;
+};
+
+/**
+ * INSTANCE METHOD: Generate email verification token
+ * 
+ * WHY: Signed + expiring, so nothing needs to be stored on the user.
+ * The email is part of the payload: if the user changes their email,
+ * links sent to the old address stop working.
+ */
+userSchema.methods.generateEmailVerificationToken = function () {
+  return jwt.sign(
+    {
+      userId: this._id,
+      email: this.email,
+      purpose: 'email-verification'
+    },
+    getEmailTokenSecret(),
+    { expiresIn: process.env.JWT_EMAIL_EXPIRE || '24h' }
+  );
+};
+
+/**
+ * STATIC METHOD: Find user from an email verification token
+ * 
+ * Returns null if the token is invalid, expired, not a verification token,
+ * or was issued for an email address the user no longer has.
+ */
+userSchema.statics.findByEmailVerificationToken = async function (token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, getEmailTokenSecret());
+  } catch (error) {
+    return null;
+  }
+
+  if (decoded.purpose !== 'email-verification') {
+    return null;
+  }
+
+  const user = await this.findById(decoded.userId);
+  if (!user || user.email !== decoded.email) {
+    return null;
+  }
+
+  return user;
+};
+
+/**
+ * INSTANCE METHOD: Generate password reset token
+ * 
+ * WHY: Reset tokens are random (not JWTs) so they can be single-use:
+ * only a SHA-256 hash is stored, and it is cleared once used.
+ * A database leak therefore doesn't expose usable reset links.
+ * 
+ * HOW: Sets hashed token + expiry on the user (caller must save) and
+ * returns the plain token to be emailed.
+ */
+userSchema.methods.createPasswordResetToken = function () {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  const expiresInMinutes = Number(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 30;
+
+  this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+  return resetToken;
+};
+
+/**
+ * STATIC METHOD: Find user by a valid (unexpired) password reset token
+ */
+userSchema.statics.findByPasswordResetToken = function (resetToken) {
+  const hashedToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+
+  return this.findOne({
+    passwordResetToken: hashedToken,
+    passwordResetExpires: { $gt: new Date() }
+  });
+};
+
 const User = mongoose.model('User', userSchema);
 
 export default User;
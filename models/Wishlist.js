@@ -125,6 +125,21 @@ wishlistSchema.statics.getOrCreateWishlist = async function (userId) {
   return wishlist;
 };
 
+/**
+ * STATIC METHOD: Remove a product from every wishlist
+ * 
+ * WHY: Archived products can't be bought, so they shouldn't sit in wishlists.
+ * 
+ * @returns {Promise<Array>} User ids of affected wishlists, to notify them
+ */
+wishlistSchema.statics.removeProductFromAll = async function (productId) {
+  const wishlists = await this.find({ products: productId }).select('user');
+
+  await this.updateMany({ products: productId }, { $pull: { products: productId } });
+
+  return wishlists.map((wishlist) => wishlist.user);
+};
+
 const Wishlist = mongoose.model('Wishlist', wishlistSchema);
 
 export default Wishlist;
@@ -2,7 +2,7 @@
  * Admin Routes
  * 
  * PROBLEM IT SOLVES: Defines all admin-related API endpoints.
- * All routes require admin authorization.
+ * Each route requires the matching staff permission (config/permissions.js).
  */
 
 import express from 'express';
@@ -11,27 +11,58 @@ import {
   getAllUsers,
   getUserById,
   updateUser,
-  deleteUser
+  deleteUser,
+  forceLogoutUser,
+  getRoles,
+  getApiKeys,
+  createApiKey,
+  revokeApiKey
 } from '../controllers/adminController.js';
-import { protect, authorize } from '../middleware/auth.js';
+import { body } from 'express-validator';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../config/permissions.js';
 
 const router = express.Router();
 
-// All admin routes require authentication and admin role
+const apiKeyValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('API key name is required')
+    .isLength({ max: 100 })
+    .withMessage('Name cannot exceed 100 characters'),
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Expiry must be a valid date')
+];
+
+// All admin routes require authentication; each route checks its own permission
 router.use(protect);
-router.use(authorize('admin'));
 
 // Dashboard stats
-router.get('/stats', getDashboardStats);
+router.get('/stats', requirePermission(PERMISSIONS.REPORTS_READ), getDashboardStats);
+
+// Roles & permissions (for the role picker in the admin UI)
+router.get('/roles', requirePermission(PERMISSIONS.USERS_READ), getRoles);
 
 // User management
 router.route('/users')
-  .get(getAllUsers);
+  .get(requirePermission(PERMISSIONS.USERS_READ), getAllUsers);
 
 router.route('/users/:id')
-  .get(getUserById)
-  .put(updateUser)
-  .delete(deleteUser);
+  .get(requirePermission(PERMISSIONS.USERS_READ), getUserById)
+  .put(requirePermission(PERMISSIONS.USERS_MANAGE), updateUser)
+  .delete(requirePermission(PERMISSIONS.USERS_MANAGE), deleteUser);
+
+router.post('/users/:id/logout', requirePermission(PERMISSIONS.USERS_MANAGE), forceLogoutUser);
+
+// API keys for server-to-server integrations
+router.route('/api-keys')
+  .get(requirePermission(PERMISSIONS.API_KEYS_MANAGE), getApiKeys)
+  .post(requirePermission(PERMISSIONS.API_KEYS_MANAGE), apiKeyValidation, createApiKey);
+
+router.delete('/api-keys/:id', requirePermission(PERMISSIONS.API_KEYS_MANAGE), revokeApiKey);
 
 export default router;
 
@@ -18,10 +18,36 @@ import { body } from 'express-validator';
 import {
   signup,
   login,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  confirmTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
   getMe,
+  updateMe,
+  uploadAvatar,
+  deleteAvatar,
+  changePassword,
+  refresh,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
   logout
 } from '../controllers/authController.js';
+import {
+  getAddresses,
+  addAddress,
+  updateAddress,
+  setDefaultAddress,
+  deleteAddress
+} from '../controllers/addressController.js';
 import { protect } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimiter.js';
+import { imageUpload } from '../middleware/upload.js';
 
 const router = express.Router();
 
@@ -59,14 +85,180 @@ const loginValidation = [
     .withMessage('Password is required')
 ];
 
+const verifyEmailValidation = [
+  body('token')
+    .notEmpty()
+    .withMessage('Verification token is required')
+];
+
+const forgotPasswordValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+];
+
+const resetPasswordValidation = [
+  body('token')
+    .isString()
+    .withMessage('Reset token must be a string')
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('password')
+    .isString()
+    .withMessage('Password must be a string')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+];
+
+const updateMeValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Name must be between 2 and 50 characters'),
+  body('email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+];
+
+const changePasswordValidation = [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('New password must be at least 6 characters long')
+];
+
+const addressValidation = [
+  body('label')
+    .optional()
+    .isIn(['home', 'work', 'other'])
+    .withMessage('Label must be home, work or other'),
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Recipient name is required'),
+  body('phone')
+    .trim()
+    .notEmpty()
+    .withMessage('Phone is required'),
+  body('address')
+    .trim()
+    .notEmpty()
+    .withMessage('Address is required'),
+  body('city')
+    .trim()
+    .notEmpty()
+    .withMessage('City is required'),
+  body('state')
+    .trim()
+    .notEmpty()
+    .withMessage('State is required'),
+  body('zipCode')
+    .trim()
+    .notEmpty()
+    .withMessage('Zip code is required')
+];
+
+const addressUpdateValidation = [
+  body('label')
+    .optional()
+    .isIn(['home', 'work', 'other'])
+    .withMessage('Label must be home, work or other'),
+  body(['name', 'phone', 'address', 'city', 'state', 'zipCode'])
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Address fields cannot be empty')
+];
+
+const twoFactorLoginValidation = [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  body()
+    .custom((value) => Boolean(value.code || value.recoveryCode))
+    .withMessage('Authentication code or recovery code is required')
+];
+
+const twoFactorCodeValidation = [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be 6 digits')
+];
+
+const disableTwoFactorValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  body()
+    .custom((value) => Boolean(value.code || value.recoveryCode))
+    .withMessage('Authentication code or recovery code is required')
+];
+
+/**
+ * Per-IP throttling (sliding window) against credential stuffing and
+ * mass signups. Limits are read from env at request time.
+ */
+const loginLimiter = rateLimit({
+  keyPrefix: 'login',
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: () => Number(process.env.LOGIN_RATE_LIMIT) || 10
+});
+
+const signupLimiter = rateLimit({
+  keyPrefix: 'signup',
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: () => Number(process.env.SIGNUP_RATE_LIMIT) || 5
+});
+
 // Public routes
-router.post('/signup', signupValidation, signup);
-router.post('/login', loginValidation, login);
+router.post('/signup', signupLimiter, signupValidation, signup);
+router.post('/login', loginLimiter, loginValidation, login);
+router.post('/login/2fa', loginLimiter, twoFactorLoginValidation, verifyTwoFactorLogin);
+router.post('/refresh', refresh);
+router.post('/verify-email', verifyEmailValidation, verifyEmail);
+router.post('/forgot-password', forgotPasswordValidation, forgotPassword);
+router.post('/reset-password', resetPasswordValidation, resetPassword);
 
 // Protected routes (require authentication)
 router.get('/me', protect, getMe);
+router.put('/me', protect, updateMeValidation, updateMe);
+router.put('/me/password', protect, changePasswordValidation, changePassword);
+router.route('/me/avatar')
+  .put(protect, imageUpload({ field: 'avatar' }), uploadAvatar)
+  .delete(protect, deleteAvatar);
+router.post('/verify-email/resend', protect, resendVerificationEmail);
 router.post('/logout', protect, logout);
 
+// Sessions (devices)
+router.route('/sessions')
+  .get(protect, getSessions)
+  .delete(protect, revokeOtherSessions);
+
+router.delete('/sessions/:sessionId', protect, revokeSession);
+
+// Two-factor authentication (TOTP)
+router.post('/2fa/setup', protect, setupTwoFactor);
+router.post('/2fa/confirm', protect, twoFactorCodeValidation, confirmTwoFactor);
+router.post('/2fa/recovery-codes', protect, twoFactorCodeValidation, regenerateRecoveryCodes);
+router.post('/2fa/disable', protect, disableTwoFactorValidation, disableTwoFactor);
+
+// Address book
+router.route('/me/addresses')
+  .get(protect, getAddresses)
+  .post(protect, addressValidation, addAddress);
+
+router.route('/me/addresses/:addressId')
+  .put(protect, addressUpdateValidation, updateAddress)
+  .delete(protect, deleteAddress);
+
+router.put('/me/addresses/:addressId/default', protect, setDefaultAddress);
+
 export default router;
 
 
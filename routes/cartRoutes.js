@@ -6,12 +6,12 @@ import {
   removeFromCart,
   clearCart
 } from '../controllers/cartController.js';
-import { protect } from '../middleware/auth.js';
+import { identifyShopper } from '../middleware/guest.js';
 
 const router = express.Router();
 
-// All cart routes require authentication
-router.use(protect);
+// Logged-in users get their own cart; guests get a cart keyed by a signed cookie
+router.use(identifyShopper);
 
 router
   .route('/')
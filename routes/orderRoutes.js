@@ -8,27 +8,41 @@
 import express from 'express';
 import {
   createOrder,
+  lookupOrder,
   getMyOrders,
   getOrderById,
   updateOrderToPaid,
   updateOrderStatus,
   getAllOrders
 } from '../controllers/orderController.js';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, protectOrApiKey, requirePermission, requireVerifiedEmail } from '../middleware/auth.js';
+import { identifyShopper } from '../middleware/guest.js';
+import { rateLimit } from '../middleware/rateLimiter.js';
+import { PERMISSIONS } from '../config/permissions.js';
 
 const router = express.Router();
 
-// All order routes require authentication
+// Order number + email lookup is a credential check: throttle guessing
+const lookupLimiter = rateLimit({
+  keyPrefix: 'order-lookup',
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: () => Number(process.env.ORDER_LOOKUP_RATE_LIMIT) || 20
+});
+
+// Checkout, payment confirmation and order lookup are open to guests
+router.post('/', identifyShopper, requireVerifiedEmail, createOrder);
+router.put('/:id/pay', identifyShopper, updateOrderToPaid);
+router.post('/lookup', lookupLimiter, lookupOrder);
+
+// Staff routes (support, fulfilment, admin) - also open to integrations with an API key
+router.get('/admin/all', protectOrApiKey, requirePermission(PERMISSIONS.ORDERS_READ), getAllOrders);
+router.put('/:id/status', protectOrApiKey, requirePermission(PERMISSIONS.ORDERS_UPDATE_STATUS), updateOrderStatus);
+
+// All other order routes require authentication
 router.use(protect);
 
 // User routes
-router.post('/', createOrder);
 router.get('/myorders', getMyOrders);
 router.get('/:id', getOrderById);
-router.put('/:id/pay', updateOrderToPaid);
-
-// Admin routes
-router.get('/admin/all', authorize('admin'), getAllOrders);
-router.put('/:id/status', authorize('admin'), updateOrderStatus);
 
 export default router;
@@ -15,88 +15,203 @@ import express from 'express';
 import { body } from 'express-validator';
 import {
   getProducts,
+  getSearchSuggestions,
+  compareProducts,
+  getRecentlyViewed,
   getProductById,
+  getProductBySlug,
   createProduct,
   updateProduct,
   deleteProduct,
+  restoreProduct,
+  getArchivedProducts,
   createProductReview,
-  getCategories,
-  getBrands,
   getFeaturedProducts,
   getBestsellerProducts
 } from '../controllers/productController.js';
-import { protect, authorize } from '../middleware/auth.js';
+import {
+  getCategoryTree,
+  createCategory,
+  updateCategory,
+  deleteCategory
+} from '../controllers/categoryController.js';
+import {
+  getBrands,
+  getBrandBySlug,
+  createBrand,
+  updateBrand,
+  deleteBrand
+} from '../controllers/brandController.js';
+import { importProducts, exportProducts } from '../controllers/productImportController.js';
+import { getRelatedProducts, getBoughtTogether } from '../controllers/recommendationController.js';
+import {
+  uploadProductImages,
+  reorderProductImages,
+  deleteProductImage,
+  getMaxProductImages
+} from '../controllers/productImageController.js';
+import { protect, protectOrApiKey, requirePermission } from '../middleware/auth.js';
+import { identifyViewer } from '../middleware/guest.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { importUpload, imageUpload } from '../middleware/upload.js';
+import { productValidation } from '../utils/productValidation.js';
 
 const router = express.Router();
 
 /**
  * Validation Rules
+ * 
+ * productValidation lives in utils/productValidation.js (shared with bulk import)
  */
-const productValidation = [
+const reviewValidation = [
+  body('rating')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be between 1 and 5'),
+  body('comment')
+    .trim()
+    .notEmpty()
+    .withMessage('Review comment is required')
+    .isLength({ max: 500 })
+    .withMessage('Review comment cannot exceed 500 characters')
+];
+
+const imageOrderValidation = [
+  body('images')
+    .isArray({ min: 1 })
+    .withMessage('Images must be a non-empty array of image URLs'),
+  body('images.*')
+    .isString()
+    .withMessage('Each image must be a URL string')
+];
+
+const categoryFieldValidation = [
+  body('slug')
+    .optional()
+    .isString()
+    .withMessage('Slug must be a string'),
+  body('parent')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid parent category'),
+  body('sortOrder')
+    .optional()
+    .isInt()
+    .withMessage('Sort order must be a whole number'),
+  body('image')
+    .optional()
+    .isString()
+    .withMessage('Image must be a URL string')
+];
+
+const createCategoryValidation = [
   body('name')
     .trim()
     .notEmpty()
-    .withMessage('Product name is required')
-    .isLength({ max: 200 })
-    .withMessage('Product name cannot exceed 200 characters'),
-  body('description')
+    .withMessage('Category name is required')
+    .isLength({ max: 100 })
+    .withMessage('Category name cannot exceed 100 characters'),
+  ...categoryFieldValidation
+];
+
+const updateCategoryValidation = [
+  body('name')
+    .optional()
     .trim()
     .notEmpty()
-    .withMessage('Product description is required')
+    .withMessage('Category name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Category name cannot exceed 100 characters'),
+  ...categoryFieldValidation
+];
+
+// Category tree (public) and category management
+router.route('/categories')
+  .get(getCategoryTree)
+  .post(protectOrApiKey, requirePermission(PERMISSIONS.PRODUCTS_WRITE), createCategoryValidation, createCategory);
+router.route('/categories/:id')
+  .put(protectOrApiKey, requirePermission(PERMISSIONS.PRODUCTS_WRITE), updateCategoryValidation, updateCategory)
+  .delete(protectOrApiKey, requirePermission(PERMISSIONS.PRODUCTS_WRITE), deleteCategory);
+
+const brandFieldValidation = [
+  body('slug')
+    .optional()
+    .isString()
+    .withMessage('Slug must be a string'),
+  body('logo')
+    .optional()
+    .isString()
+    .withMessage('Logo must be a URL string'),
+  body('description')
+    .optional()
     .isLength({ max: 2000 })
     .withMessage('Description cannot exceed 2000 characters'),
-  body('price')
-    .isFloat({ min: 0 })
-    .withMessage('Price must be a positive number'),
-  body('category')
-    .isIn([
-      'Makeup',
-      'Skincare',
-      'Haircare',
-      'Fragrance',
-      'Bath & Body',
-      'Tools & Brushes',
-      'Men',
-      'Appliances'
-    ])
-    .withMessage('Invalid category'),
-  body('brand')
+  body('featured')
+    .optional()
+    .isBoolean()
+    .withMessage('Featured must be true or false')
+];
+
+const createBrandValidation = [
+  body('name')
     .trim()
     .notEmpty()
-    .withMessage('Brand is required'),
-  body('stock')
-    .optional()
-    .isInt({ min: 0 })
-    .withMessage('Stock must be a non-negative integer')
+    .withMessage('Brand name is required')
+    .isLength({ max: 100 })
+    .withMessage('Brand name cannot exceed 100 characters'),
+  ...brandFieldValidation
 ];
 
-const reviewValidation = [
-  body('rating')
-    .isInt({ min: 1, max: 5 })
-    .withMessage('Rating must be between 1 and 5'),
-  body('comment')
+const updateBrandValidation = [
+  body('name')
+    .optional()
     .trim()
     .notEmpty()
-    .withMessage('Review comment is required')
-    .isLength({ max: 500 })
-    .withMessage('Review comment cannot exceed 500 characters')
+    .withMessage('Brand name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Brand name cannot exceed 100 characters'),
+  ...brandFieldValidation
 ];
 
+// Brands (public list and brand pages) and brand management
+router.route('/brands')
+  .get(getBrands)
+  .post(protectOrApiKey, requirePermission(PERMISSIONS.PRODUCTS_WRITE), createBrandValidation, createBrand);
+router.get('/brands/:slug', getBrandBySlug);
+router.route('/brands/:id')
+  .put(protectOrApiKey, requirePermission(PERMISSIONS.PRODUCTS_WRITE), updateBrandValidation, updateBrand)
+  .delete(protectOrApiKey, requirePermission(PERMISSIONS.PRODUCTS_WRITE), deleteBrand);
+
+// Catalog admin lists (before /:id so "archived"/"export" aren't treated as product ids)
+router.get('/archived', protectOrApiKey, requirePermission(PERMISSIONS.PRODUCTS_WRITE), getArchivedProducts);
+router.get('/export', protectOrApiKey, requirePermission(PERMISSIONS.PRODUCTS_WRITE), exportProducts);
+router.post('/import', protectOrApiKey, requirePermission(PERMISSIONS.PRODUCTS_WRITE), importUpload, importProducts);
+
 // Public routes
 router.get('/', getProducts);
-router.get('/categories', getCategories);
-router.get('/brands', getBrands);
+router.get('/suggest', getSearchSuggestions);
+router.get('/compare', compareProducts);
+router.get('/recently-viewed', identifyViewer, getRecentlyViewed);
 router.get('/featured', getFeaturedProducts);
 router.get('/bestsellers', getBestsellerProducts);
-router.get('/:id', getProductById);
+router.get('/slug/:slug', identifyViewer, getProductBySlug);
+router.get('/:id', identifyViewer, getProductById);
+router.get('/:id/related', getRelatedProducts);
+router.get('/:id/bought-together', getBoughtTogether);
 
 // Protected routes (require authentication)
 router.post('/:id/reviews', protect, reviewValidation, createProductReview);
 
-// Admin routes (require authentication + admin role)
-router.post('/', protect, authorize('admin'), productValidation, createProduct);
-router.put('/:id', protect, authorize('admin'), updateProduct);
-router.delete('/:id', protect, authorize('admin'), deleteProduct);
+// Catalog routes (require authentication + products:write permission)
+router.post('/', protectOrApiKey, requirePermission(PERMISSIONS.PRODUCTS_WRITE), productValidation, createProduct);
+router.put('/:id', protectOrApiKey, requirePermission(PERMISSIONS.PRODUCTS_WRITE), updateProduct);
+router.delete('/:id', protectOrApiKey, requirePermission(PERMISSIONS.PRODUCTS_WRITE), deleteProduct); // Archives (soft delete)
+router.post('/:id/restore', protectOrApiKey, requirePermission(PERMISSIONS.PRODUCTS_WRITE), restoreProduct);
+
+// Image gallery (upload, reorder, delete)
+router.route('/:id/images')
+  .post(protectOrApiKey, requirePermission(PERMISSIONS.PRODUCTS_WRITE), imageUpload({ field: 'images', maxCount: getMaxProductImages }), uploadProductImages)
+  .delete(protectOrApiKey, requirePermission(PERMISSIONS.PRODUCTS_WRITE), deleteProductImage);
+router.put('/:id/images/order', protectOrApiKey, requirePermission(PERMISSIONS.PRODUCTS_WRITE), imageOrderValidation, reorderProductImages);
 
 export default router;
 
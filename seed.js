@@ -1,7 +1,10 @@
 import mongoose from "mongoose";
 import dotenv from "dotenv";
 import Product from "./models/Product.js";
+import Category from "./models/Category.js";
+import Brand from "./models/Brand.js";
 import products from "./data/products.js";
+import categories from "./data/categories.js";
 
 dotenv.config();
 
@@ -10,7 +13,24 @@ const seedProducts = async () => {
     await mongoose.connect(process.env.MONGO_URI);
 
     await Product.deleteMany();
-    await Product.insertMany(products);
+    await Category.deleteMany();
+    await Brand.deleteMany();
+
+    const createdCategories = await Category.insertMany(categories);
+    const categoryIds = new Map(createdCategories.map((category) => [category.name, category._id]));
+
+    const createdBrands = await Brand.insertMany(
+      [...new Set(products.map((product) => product.brand))].map((name) => ({ name }))
+    );
+    const brandIds = new Map(createdBrands.map((brand) => [brand.name, brand._id]));
+
+    await Product.insertMany(
+      products.map((product) => ({
+        ...product,
+        category: categoryIds.get(product.category),
+        brand: brandIds.get(product.brand)
+      }))
+    );
 
     console.log("✅ Products seeded successfully");
     process.exit();
@@ -9,6 +9,12 @@ import cookieParser from "cookie-parser";
 // Routes
 import authRoutes from "./routes/authRoutes.js";
 import productRoutes from "./routes/productRoutes.js";
+import cartRoutes from "./routes/cartRoutes.js";
+import wishlistRoutes from "./routes/wishlistRoutes.js";
+import orderRoutes from "./routes/orderRoutes.js";
+import adminRoutes from "./routes/adminRoutes.js";
+import { errorHandler } from "./utils/errorHandler.js";
+import { getImageStorageName, getLocalUploadDir } from "./utils/imageStorage.js";
 
 // ---- BASIC SAFETY LOGS ----
 console.log("MONGO_URI =", process.env.MONGO_URI);
@@ -26,6 +32,13 @@ mongoose
 // ---- APP INIT ----
 const app = express();
 
+// Behind a load balancer/proxy, set TRUST_PROXY (hop count or subnet list)
+// so req.ip - used by rate limiting - is the real client IP
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 app.use(cors({
   origin: "http://localhost:5173",
   credentials: true
@@ -33,6 +46,11 @@ app.use(cors({
 app.use(express.json());
 app.use(cookieParser());
 
+// Uploaded images (local storage driver, used when Cloudinary isn't configured)
+if (getImageStorageName() === "local") {
+  app.use("/uploads", express.static(getLocalUploadDir()));
+}
+
 // ---- ROUTES ----
 app.get("/api/health", (req, res) => {
   res.json({ success: true });
@@ -40,12 +58,19 @@ app.get("/api/health", (req, res) => {
 
 app.use("/api/auth", authRoutes);
 app.use("/api/products", productRoutes);
+app.use("/api/cart", cartRoutes);
+app.use("/api/wishlist", wishlistRoutes);
+app.use("/api/orders", orderRoutes);
+app.use("/api/admin", adminRoutes);
 
 // ---- FALLBACK ----
 app.use((req, res) => {
   res.status(404).json({ success: false, error: "Route not found" });
 });
 
+// ---- ERROR HANDLER (must be last) ----
+app.use(errorHandler);
+
 // ---- START SERVER ----
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
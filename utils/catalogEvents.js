@@ -0,0 +1,28 @@
+/**
+ * Catalog Change Events
+ *
+ * PROBLEM IT SOLVES: Data derived from the catalog and kept in memory (the
+ * search suggestion index) must be refreshed when products, brands or
+ * categories change - without the models importing every cache that
+ * depends on them.
+ *
+ * HOW IT WORKS: Model hooks call emitCatalogChange(); caches subscribe with
+ * onCatalogChange(). Events only reach listeners in the same process, so
+ * caches should also expire on their own when several servers run.
+ */
+
+import { EventEmitter } from 'events';
+
+const catalogEvents = new EventEmitter();
+
+/**
+ * @param {Object} change - { model: 'Product' | 'Brand' | 'Category', id,
+ *   paths: modified paths, or null when unknown (new document, bulk update, delete) }
+ */
+export const emitCatalogChange = (change) => {
+  catalogEvents.emit('change', change);
+};
+
+export const onCatalogChange = (listener) => {
+  catalogEvents.on('change', listener);
+};
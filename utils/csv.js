@@ -0,0 +1,116 @@
+/**
+ * CSV Utility
+ *
+ * PROBLEM IT SOLVES: Catalog import/export needs CSV (what catalog managers
+ * edit in Excel/Google Sheets) without pulling in another dependency.
+ *
+ * HOW IT WORKS: RFC 4180 - comma separated, fields containing commas,
+ * quotes or newlines are wrapped in double quotes and quotes are doubled.
+ * The first row is the header.
+ *
+ * FORMULA INJECTION: Excel and Sheets run a cell starting with =, +, -, @,
+ * tab or CR as a formula, so a product name like =HYPERLINK(...) would
+ * execute on the catalog manager's machine. toCsv prefixes such cells with
+ * ' (shown as plain text) and parseCsv removes that prefix again, so
+ * exported files import unchanged.
+ */
+
+// Cell starts that spreadsheets treat as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Undo the formula escaping added by toCsv
+ */
+const unescapeFormula = (value) =>
+  value.startsWith("'") && FORMULA_START.test(value.slice(1)) ? value.slice(1) : value;
+
+/**
+ * Parse CSV text into an array of objects keyed by the header row
+ *
+ * @param {String} text - CSV content (UTF-8, optional BOM, LF or CRLF)
+ * @returns {Array<Object>} One object per data row (values are strings)
+ */
+export const parseCsv = (text) => {
+  const input = text.replace(/^\uFEFF/, ''); // Excel adds a byte order mark
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Invalid CSV: unterminated quoted field');
+  }
+
+  if (field || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Skip blank lines (trailing newline, empty rows between data)
+  const nonEmpty = records.filter((fields) => fields.some((value) => value.trim() !== ''));
+  if (nonEmpty.length === 0) {
+    return [];
+  }
+
+  const header = nonEmpty[0].map((name) => name.trim());
+  return nonEmpty.slice(1).map((fields) =>
+    Object.fromEntries(header.map((name, index) => [name, unescapeFormula(fields[index] ?? '')]))
+  );
+};
+
+const escapeField = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  let text = String(value);
+  if (FORMULA_START.test(text)) {
+    text = `'${text}`; // Shown as text by spreadsheets, removed again by parseCsv
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize rows to CSV
+ *
+ * @param {Array<Object>} rows - Objects to write
+ * @param {Array<String>} columns - Header / column order
+ * @returns {String} CSV text (CRLF line endings, as Excel expects)
+ */
+export const toCsv = (rows, columns) => {
+  const lines = [columns.map(escapeField).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map((column) => escapeField(row[column])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+};
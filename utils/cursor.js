@@ -0,0 +1,154 @@
+/**
+ * Pagination Cursors
+ *
+ * PROBLEM IT SOLVES: Page numbers use skip(), which gets slower the deeper
+ * you go (page 500 reads and throws away 4,990 documents) and shifts when
+ * products are added or removed between requests - infinite scroll then
+ * shows duplicates or skips items.
+ *
+ * HOW IT WORKS: A cursor remembers the sort values of the last (or first)
+ * item the client saw, plus its _id as a tiebreaker. The next page is
+ * "everything after these values in this sort order", a range query that
+ * uses the index no matter how deep the client scrolls.
+ * Cursors are opaque: base64url JSON with an HMAC signature (CURSOR_SECRET,
+ * or a key derived from JWT_ACCESS_SECRET), so clients can't edit them into
+ * arbitrary queries, and a cursor only works with the sort it was made for.
+ *
+ * REAL-WORLD: Instagram/Twitter feeds and the Stripe/Shopify APIs
+ * (starting_after, page_info) paginate this way.
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+// Never the access token secret itself: a signature made with it would be
+// a valid JWT signature for whatever payload the cursor carries
+const getCursorSecret = () =>
+  process.env.CURSOR_SECRET ||
+  crypto.createHmac('sha256', process.env.JWT_ACCESS_SECRET).update('pagination-cursor').digest();
+
+const sign = (payload) =>
+  crypto.createHmac('sha256', getCursorSecret()).update(payload).digest('base64url');
+
+const invalidCursor = () => {
+  const error = new Error('Invalid cursor');
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * "createdAt:-1,_id:1" - ties a cursor to the sort it was made with
+ */
+const sortKey = (sort) => Object.entries(sort).map(([field, direction]) => `${field}:${direction}`).join(',');
+
+// Dates and ObjectIds don't survive JSON, so they're tagged
+const encodeValue = (value) => {
+  if (value instanceof Date) {
+    return { $date: value.getTime() };
+  }
+  if (value instanceof mongoose.Types.ObjectId) {
+    return { $oid: value.toString() };
+  }
+  return value ?? null;
+};
+
+const decodeValue = (value) => {
+  if (value?.$date !== undefined) {
+    return new Date(value.$date);
+  }
+  if (value?.$oid !== undefined) {
+    return new mongoose.Types.ObjectId(value.$oid);
+  }
+  return value;
+};
+
+/**
+ * Value of a sort field on a listed document. Computed sort fields
+ * (relevance) are kept in doc.$locals.sortValues by the query that listed it.
+ */
+const readSortValue = (doc, field) => {
+  if (doc.$locals?.sortValues && field in doc.$locals.sortValues) {
+    return doc.$locals.sortValues[field];
+  }
+  return typeof doc.get === 'function' ? doc.get(field) : doc[field];
+};
+
+/**
+ * Create a cursor pointing after (next) or before (prev) a document
+ *
+ * @param {Object} doc - First or last item of the current page
+ * @param {Object} sort - Sort of the listing, with the _id tiebreaker
+ * @param {String} direction - 'next' or 'prev'
+ */
+export const encodeCursor = (doc, sort, direction) => {
+  const payload = Buffer.from(JSON.stringify({
+    k: sortKey(sort),
+    v: Object.keys(sort).map((field) => encodeValue(readSortValue(doc, field))),
+    d: direction
+  })).toString('base64url');
+
+  return `${payload}.${sign(payload)}`;
+};
+
+/**
+ * Verify and read a cursor
+ *
+ * @returns {Object} { values, direction }
+ * @throws {Error} 400 if the cursor was tampered with or made for another sort
+ */
+export const decodeCursor = (cursor, sort) => {
+  const [payload, signature] = String(cursor).split('.');
+  if (!payload || !signature) {
+    throw invalidCursor();
+  }
+
+  const expected = Buffer.from(sign(payload));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw invalidCursor();
+  }
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  } catch {
+    throw invalidCursor();
+  }
+
+  // A cursor from "price low to high" means nothing for "newest first"
+  if (data.k !== sortKey(sort) || !Array.isArray(data.v) || !['next', 'prev'].includes(data.d)) {
+    throw invalidCursor();
+  }
+
+  return { values: data.v.map(decodeValue), direction: data.d };
+};
+
+/**
+ * Turn a cursor into a range filter and the sort to run it with
+ *
+ * For sort { price: 1, _id: 1 } and a cursor at (500, X), the next page is
+ * price > 500, or price = 500 and _id > X. A previous page runs the same
+ * range backwards (reversed sort); the caller flips the results back.
+ *
+ * @returns {Object} { filter, sort, direction }
+ */
+export const buildCursorQuery = (cursor, sort) => {
+  const { values, direction } = decodeCursor(cursor, sort);
+  const fields = Object.entries(sort);
+  const backwards = direction === 'prev';
+
+  const filter = {
+    $or: fields.map(([field, order], i) => ({
+      ...Object.fromEntries(fields.slice(0, i).map(([previous], j) => [previous, values[j]])),
+      [field]: { [(order === 1) !== backwards ? '$gt' : '$lt']: values[i] }
+    }))
+  };
+
+  return {
+    filter,
+    sort: backwards
+      ? Object.fromEntries(fields.map(([field, order]) => [field, -order]))
+      : sort,
+    direction
+  };
+};
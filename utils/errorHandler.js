@@ -19,8 +19,10 @@ export const errorHandler = (err, req, res, next) => {
   let error = { ...err };
   error.message = err.message;
 
-  // Log error for debugging
-  console.error('Error:', err);
+  // Log error for debugging (throttled requests are expected, not worth a stack trace)
+  if (err.statusCode !== 429) {
+    console.error('Error:', err);
+  }
 
   // Mongoose bad ObjectId
   if (err.name === 'CastError') {
@@ -51,6 +53,11 @@ export const errorHandler = (err, req, res, next) => {
     error = { message, statusCode: 401 };
   }
 
+  // Rate limiting: tell the client when to retry
+  if (err.statusCode === 429 && err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+
   res.status(error.statusCode || 500).json({
     success: false,
     error: error.message || 'Server Error',
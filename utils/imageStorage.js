@@ -0,0 +1,164 @@
+/**
+ * Image Storage Utility
+ *
+ * PROBLEM IT SOLVES: Product galleries and avatars need uploaded images to
+ * end up at a public URL. Production uses Cloudinary (CDN, resizing), but
+ * development shouldn't need Cloudinary credentials.
+ *
+ * HOW IT WORKS: A driver is any object with
+ *   async save(buffer, { folder, extension }) -> public URL
+ *   async remove(url) -> true if the image was ours and got deleted
+ * The driver is picked from IMAGE_STORAGE:
+ * - cloudinary: default when CLOUDINARY_CLOUD_NAME is set
+ * - local: writes to UPLOAD_DIR (default: uploads/), served by server.js
+ *   under /uploads
+ * Other providers (S3, GCS...) can be plugged in with registerImageStorage().
+ *
+ * Only URLs are stored in the database, so images pasted as URLs keep
+ * working - remove() simply ignores URLs it doesn't own.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import cloudinaryModule from 'cloudinary';
+
+const cloudinary = cloudinaryModule.v2;
+
+export const getLocalUploadDir = () => path.resolve(process.env.UPLOAD_DIR || 'uploads');
+
+const getLocalPublicUrl = () => (process.env.UPLOAD_PUBLIC_URL || '/uploads').replace(/\/$/, '');
+
+const localStorage = {
+  save: async (buffer, { folder, extension }) => {
+    const fileName = `${crypto.randomUUID()}${extension}`;
+    const directory = path.join(getLocalUploadDir(), folder);
+
+    await fs.mkdir(directory, { recursive: true });
+    await fs.writeFile(path.join(directory, fileName), buffer);
+
+    return `${getLocalPublicUrl()}/${folder}/${fileName}`;
+  },
+
+  remove: async (url) => {
+    const prefix = `${getLocalPublicUrl()}/`;
+    if (!url.startsWith(prefix)) {
+      return false;
+    }
+
+    // Never delete outside the upload directory (e.g. "/uploads/../server.js")
+    const uploadDir = getLocalUploadDir();
+    const filePath = path.resolve(uploadDir, url.slice(prefix.length));
+    if (!filePath.startsWith(`${uploadDir}${path.sep}`)) {
+      return false;
+    }
+
+    try {
+      await fs.unlink(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+    return true;
+  }
+};
+
+const configureCloudinary = () => {
+  cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET,
+    secure: true
+  });
+};
+
+const cloudinaryStorage = {
+  save: (buffer, { folder }) => {
+    configureCloudinary();
+
+    return new Promise((resolve, reject) => {
+      cloudinary.uploader
+        .upload_stream(
+          {
+            folder: `${process.env.CLOUDINARY_FOLDER || 'shopora'}/${folder}`,
+            resource_type: 'image'
+          },
+          (error, result) => (error ? reject(error) : resolve(result.secure_url))
+        )
+        .end(buffer);
+    });
+  },
+
+  remove: async (url) => {
+    // https://res.cloudinary.com/<cloud>/image/upload/[transformations/]v123/<public_id>.<ext>
+    const cloudName = process.env.CLOUDINARY_CLOUD_NAME;
+    const match = url.match(/^https?:\/\/res\.cloudinary\.com\/([^/]+)\/image\/upload\/(?:.+\/)?v\d+\/(.+)\.[a-z0-9]+$/i);
+    if (!match || match[1] !== cloudName) {
+      return false;
+    }
+
+    configureCloudinary();
+    await cloudinary.uploader.destroy(match[2]);
+    return true;
+  }
+};
+
+const drivers = {
+  local: localStorage,
+  cloudinary: cloudinaryStorage
+};
+
+/**
+ * Register (or replace) a named storage driver
+ *
+ * @param {String} name - Value of IMAGE_STORAGE that selects this driver
+ * @param {Object} driver - Object with async save(buffer, options) and remove(url)
+ */
+export const registerImageStorage = (name, driver) => {
+  if (!driver || typeof driver.save !== 'function' || typeof driver.remove !== 'function') {
+    throw new Error('Image storage must implement save(buffer, options) and remove(url)');
+  }
+  drivers[name] = driver;
+};
+
+export const getImageStorageName = () =>
+  process.env.IMAGE_STORAGE || (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local');
+
+const getDriver = () => {
+  const name = getImageStorageName();
+  const driver = drivers[name];
+  if (!driver) {
+    throw new Error(`Unknown image storage: ${name}`);
+  }
+  return driver;
+};
+
+/**
+ * Store an uploaded image (multer file validated by imageUpload middleware)
+ *
+ * @param {Object} file - { buffer, extension }
+ * @param {String} folder - e.g. 'products', 'avatars'
+ * @returns {Promise<String>} Public URL
+ */
+export const saveImage = (file, folder) =>
+  getDriver().save(file.buffer, { folder, extension: file.extension });
+
+/**
+ * Delete a stored image by URL (no-op for URLs the driver doesn't own)
+ *
+ * @returns {Promise<Boolean>}
+ */
+export const deleteImage = (url) => (url ? getDriver().remove(url) : Promise.resolve(false));
+
+/**
+ * Delete images without failing the request - the database change already
+ * happened, an orphaned file is only wasted storage
+ */
+export const deleteImagesQuietly = async (urls) => {
+  await Promise.all(
+    urls.map((url) =>
+      deleteImage(url).catch((error) => console.error(`Failed to delete image ${url}:`, error.message))
+    )
+  );
+};
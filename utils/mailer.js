@@ -0,0 +1,82 @@
+/**
+ * Mailer Utility
+ *
+ * PROBLEM IT SOLVES: Controllers need to send transactional emails
+ * (verification links, password resets) without caring how they are delivered.
+ *
+ * HOW IT WORKS: A transport is any object with an async `send(message)` method.
+ * The active transport is picked from MAIL_TRANSPORT:
+ * - console (default): prints the email to stdout - handy for local dev
+ * - file: writes each email as JSON into MAIL_OUTBOX_DIR (default: tmp/mail-outbox)
+ * Production transports (SES, SendGrid, SMTP...) are plugged in at startup
+ * with registerMailTransport(), without touching any controller.
+ *
+ * REAL-WORLD: Companies keep email delivery behind an interface so the
+ * provider can be swapped and tests/dev never send real emails.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const consoleTransport = {
+  send: async (message) => {
+    console.log('📧 Email (console transport)');
+    console.log(`   To: ${message.to}`);
+    console.log(`   Subject: ${message.subject}`);
+    console.log(`   ${message.text.split('\n').join('\n   ')}`);
+  }
+};
+
+const fileTransport = {
+  send: async (message) => {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join('tmp', 'mail-outbox');
+    await fs.mkdir(outboxDir, { recursive: true });
+
+    const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@.]/gi, '_')}.json`;
+    await fs.writeFile(
+      path.join(outboxDir, fileName),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+  }
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport
+};
+
+/**
+ * Register (or replace) a named transport
+ *
+ * @param {String} name - Value of MAIL_TRANSPORT that selects this transport
+ * @param {Object} transport - Object with async send({ from, to, subject, text, html })
+ */
+export const registerMailTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  transports[name] = transport;
+};
+
+/**
+ * Send an email through the configured transport
+ *
+ * @param {Object} options - { to, subject, text, html }
+ * @returns {Promise<void>}
+ */
+export const sendMail = async ({ to, subject, text, html }) => {
+  const transportName = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+
+  await transport.send({
+    from: process.env.MAIL_FROM || 'Shopora <no-reply@shopora.local>',
+    to,
+    subject,
+    text,
+    html: html || text
+  });
+};
@@ -0,0 +1,69 @@
+/**
+ * Brand Migration
+ * 
+ * PROBLEM IT SOLVES: Products created before the Brand collection store
+ * their brand as free text, with spelling variants ("Lakme", "Lakmé",
+ * "LAKME"). Product.brand is now a reference to a Brand document.
+ * 
+ * HOW IT WORKS:
+ * 1. Groups the brand strings used by products by slug, so spelling
+ *    variants end up in one brand (the most used spelling becomes its name)
+ * 2. Finds or creates the Brand for each slug
+ * 3. Replaces the brand strings on products with the brand id
+ * 
+ * Works on the raw collection, so old documents don't need to pass the new
+ * schema. Safe to run more than once.
+ * 
+ * USAGE: npm run migrate:brands
+ */
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+import Product from '../models/Product.js';
+import Brand from '../models/Brand.js';
+import { slugify } from './slugify.js';
+
+dotenv.config();
+
+const migrateBrands = async () => {
+  try {
+    await connectDB();
+
+    // Most used spelling first, so it becomes the brand name
+    const spellings = await Product.collection.aggregate([
+      { $match: { brand: { $type: 'string' } } },
+      { $group: { _id: '$brand', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } }
+    ]).toArray();
+
+    const groups = new Map();
+    for (const { _id: name } of spellings) {
+      const slug = slugify(name);
+      if (!slug) {
+        console.warn(`⚠️  Skipping brand without letters or digits: "${name}"`);
+        continue;
+      }
+      groups.set(slug, [...(groups.get(slug) || []), name]);
+    }
+    console.log(`🔎 ${spellings.length} brand spellings -> ${groups.size} brands`);
+
+    for (const [slug, names] of groups) {
+      const brand = (await Brand.findOne({ slug })) || (await Brand.create({ name: names[0].trim(), slug }));
+      const result = await Product.collection.updateMany(
+        { brand: { $in: names } },
+        { $set: { brand: brand._id } }
+      );
+      console.log(`   ${names.join(', ')} -> ${brand.name} (${result.modifiedCount} products)`);
+    }
+
+    console.log('✅ Product brands migrated successfully!');
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating brands:', error);
+    process.exit(1);
+  }
+};
+
+migrateBrands();
@@ -0,0 +1,69 @@
+/**
+ * Category Migration
+ * 
+ * PROBLEM IT SOLVES: Products created before the Category collection store
+ * their category as a name ("Makeup"). Product.category is now a reference
+ * to a Category document.
+ * 
+ * HOW IT WORKS:
+ * 1. Creates the default top-level categories (data/categories.js) that
+ *    don't exist yet
+ * 2. Creates a top-level category for any other name still used by products
+ * 3. Replaces every category name on products with the category id
+ * 
+ * Works on the raw collection, so old documents don't need to pass the new
+ * schema. Safe to run more than once.
+ * 
+ * USAGE: npm run migrate:categories
+ */
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+import Product from '../models/Product.js';
+import Category from '../models/Category.js';
+import defaultCategories from '../data/categories.js';
+import { slugify } from './slugify.js';
+
+dotenv.config();
+
+const findOrCreateCategory = async ({ name, sortOrder = 0 }) => {
+  const existing = await Category.findOne({ slug: slugify(name) });
+  if (existing) {
+    return existing;
+  }
+
+  console.log(`   + ${name}`);
+  return Category.create({ name, sortOrder });
+};
+
+const migrateCategories = async () => {
+  try {
+    await connectDB();
+
+    for (const category of defaultCategories) {
+      await findOrCreateCategory(category);
+    }
+
+    const names = await Product.collection.distinct('category', { category: { $type: 'string' } });
+    console.log(`🔎 ${names.length} category names used by products`);
+
+    for (const name of names) {
+      const category = await findOrCreateCategory({ name });
+      const result = await Product.collection.updateMany(
+        { category: name },
+        { $set: { category: category._id } }
+      );
+      console.log(`   ${name} -> ${category.slug} (${result.modifiedCount} products)`);
+    }
+
+    console.log('✅ Product categories migrated successfully!');
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating categories:', error);
+    process.exit(1);
+  }
+};
+
+migrateCategories();
@@ -0,0 +1,44 @@
+/**
+ * Guest Checkout Index Migration
+ *
+ * PROBLEM IT SOLVES: Guest checkout made two unique indexes sparse:
+ * Cart.user (guest carts have no user) and Order.orderNumber (orders placed
+ * before order numbers existed have none). Databases created earlier still
+ * have the old non-sparse `user_1` / `orderNumber_1` indexes, and Mongoose
+ * never replaces an existing index with the same name - so every guest cart
+ * after the first fails with a duplicate key error (E11000).
+ *
+ * HOW IT WORKS: syncIndexes() on Cart and Order drops indexes whose options
+ * differ from the schema (or that the schema no longer declares) and builds
+ * the schema's indexes. Safe to run more than once.
+ *
+ * USAGE: npm run migrate:guest-indexes
+ */
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+import Cart from '../models/Cart.js';
+import Order from '../models/Order.js';
+
+dotenv.config();
+
+const migrateGuestIndexes = async () => {
+  try {
+    await connectDB();
+
+    for (const Model of [Cart, Order]) {
+      const dropped = await Model.syncIndexes();
+      console.log(`   ${Model.modelName}: ${dropped.length > 0 ? `rebuilt ${dropped.join(', ')}` : 'indexes up to date'}`);
+    }
+
+    console.log('✅ Guest checkout indexes migrated successfully!');
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating guest checkout indexes:', error);
+    process.exit(1);
+  }
+};
+
+migrateGuestIndexes();
@@ -0,0 +1,42 @@
+/**
+ * Product Slug Migration
+ * 
+ * PROBLEM IT SOLVES: Products created before slugs existed have no `slug`,
+ * so they can't be reached through GET /api/products/slug/:slug.
+ * 
+ * HOW IT WORKS: Saves every product without a slug; the Product pre-validate
+ * hook generates a unique slug from brand + name. Safe to run more than once.
+ * 
+ * USAGE: npm run migrate:slugs
+ */
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+import Product from '../models/Product.js';
+
+dotenv.config();
+
+const migrateProductSlugs = async () => {
+  try {
+    await connectDB();
+
+    const products = await Product.find({ slug: { $in: [null, ''] } });
+    console.log(`🔎 ${products.length} products without a slug`);
+
+    // One at a time: each slug must see the ones generated before it
+    for (const product of products) {
+      await product.save();
+      console.log(`   ${product.slug}`);
+    }
+
+    console.log('✅ Product slugs generated successfully!');
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error generating product slugs:', error);
+    process.exit(1);
+  }
+};
+
+migrateProductSlugs();
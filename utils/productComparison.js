@@ -0,0 +1,93 @@
+/**
+ * Product Comparison Utility
+ *
+ * PROBLEM IT SOLVES: Shoppers choosing between two serums want the details
+ * side by side, but each product's specifications are typed in by hand -
+ * "Skin Type", "skin type" and "skinType" are the same row, and "Oily,
+ * Combination" is the same value as "oily combination".
+ *
+ * HOW IT WORKS: Builds a table with one column per product: the standard
+ * fields (price, discount, rating, stock) plus the union of all
+ * specification keys, normalized so spelling variants share a row. Each row
+ * says whether the values differ, so the frontend can highlight differences
+ * or hide identical rows.
+ *
+ * REAL-WORLD: The "Compare" tray on Amazon/Nykaa product listings.
+ */
+
+import { slugify, tokenize } from './slugify.js';
+
+// Product fields compared for every product: [field, label]
+const COMPARED_FIELDS = [
+  ['price', 'Price'],
+  ['originalPrice', 'MRP'],
+  ['discount', 'Discount (%)'],
+  ['rating', 'Rating'],
+  ['numReviews', 'Reviews'],
+  ['inStock', 'In stock'],
+  ['stock', 'Stock']
+];
+
+/**
+ * "Skin Type", "skin_type" and "skinType" -> "skin-type"
+ */
+const normalizeSpecKey = (key) => slugify(String(key).replace(/([a-z])([A-Z])/g, '$1 $2'));
+
+/**
+ * Comparable form of a value: text is compared by its words, ignoring case
+ * and punctuation; missing values are null
+ */
+const comparable = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  return typeof value === 'string' ? tokenize(value).join(' ') : value;
+};
+
+const differs = (values) => new Set(values.map(comparable)).size > 1;
+
+/**
+ * Build the comparison table
+ *
+ * @param {Array<Object>} products - Product documents (brand/category populated), in column order
+ * @returns {Object} { products: [{ _id, name, slug, brand, category, image }], fields: [{ key, label, values, differs }],
+ *   specifications: [{ key, label, values, differs }] } - values are in product order
+ */
+export const buildProductComparison = (products) => {
+  const fields = COMPARED_FIELDS.map(([key, label]) => {
+    const values = products.map((product) => product[key] ?? null);
+    return { key, label, values, differs: differs(values) };
+  });
+
+  // Union of specification keys, in order of first appearance; the first
+  // spelling seen becomes the row label
+  const rows = new Map();
+  products.forEach((product, column) => {
+    for (const [name, value] of product.specifications || []) {
+      const key = normalizeSpecKey(name);
+      if (!key) {
+        continue;
+      }
+      if (!rows.has(key)) {
+        rows.set(key, { key, label: name.trim(), values: products.map(() => null) });
+      }
+      const row = rows.get(key);
+      row.values[column] = row.values[column] ?? value;
+    }
+  });
+
+  const specifications = [...rows.values()].map((row) => ({ ...row, differs: differs(row.values) }));
+
+  return {
+    products: products.map((product) => ({
+      _id: product._id,
+      name: product.name,
+      slug: product.slug,
+      brand: product.brand,
+      category: product.category,
+      image: product.images?.[0] || ''
+    })),
+    fields,
+    specifications
+  };
+};
@@ -0,0 +1,165 @@
+/**
+ * Product Facets Utility
+ *
+ * PROBLEM IT SOLVES: The filter sidebar shows counts next to each option
+ * ("Lakme (12)", "₹500 - ₹1000 (8)") and hides options that would return
+ * nothing. Counting each facet with its own query would mean six extra
+ * round trips per listing.
+ *
+ * HOW IT WORKS: One aggregation. The first $match applies the filters that
+ * have no facet (search, featured, ...), then $facet counts every facet
+ * with all the *other* facet filters. A facet ignores its own filter, so
+ * choosing "Lakme" still shows the other brands and their counts.
+ *
+ * REAL-WORLD: This is how Nykaa/Amazon filter sidebars behave (and what
+ * search engines like Elasticsearch call post filters).
+ */
+
+import Product from '../models/Product.js';
+import Category from '../models/Category.js';
+import Brand from '../models/Brand.js';
+import { mergeProductFilter } from './queryBuilder.js';
+
+const RATING_STEPS = [4, 3, 2, 1]; // "4★ & above", ...
+const DISCOUNT_STEPS = [10, 20, 30, 40, 50]; // "10% off or more", ...
+
+const DEFAULT_PRICE_LIMITS = [500, 1000, 2000, 5000];
+
+/**
+ * Price bucket boundaries from PRICE_FACET_RANGES ("500,1000,2000,5000")
+ *
+ * Falls back to the defaults when no valid limit is left - $bucket needs at
+ * least two boundaries, so [0] alone would fail every listing.
+ */
+const getPriceBoundaries = () => {
+  const limits = (process.env.PRICE_FACET_RANGES || '')
+    .split(',')
+    .map(Number)
+    .filter((limit) => Number.isFinite(limit) && limit > 0)
+    .sort((a, b) => a - b);
+  return [0, ...new Set(limits.length > 0 ? limits : DEFAULT_PRICE_LIMITS)];
+};
+
+/**
+ * Counts products at or above each threshold (cumulative buckets)
+ */
+const thresholdCounts = (field, steps) => [
+  {
+    $group: {
+      _id: null,
+      ...Object.fromEntries(
+        steps.map((step) => [`min${step}`, { $sum: { $cond: [{ $gte: [`$${field}`, step] }, 1, 0] } }])
+      )
+    }
+  }
+];
+
+const formatThresholds = (steps) => ([counts]) =>
+  steps
+    .map((step) => ({ min: step, count: counts?.[`min${step}`] || 0 }))
+    .filter((bucket) => bucket.count > 0);
+
+/**
+ * Facet definitions: aggregation stages (run after the facet's $match)
+ * and a formatter for the response
+ */
+const FACETS = {
+  // Products count for their category and every parent category
+  // (a lipstick counts for Lipstick, Lips and Makeup)
+  category: {
+    stages: () => [
+      { $group: { _id: '$category', count: { $sum: 1 } } },
+      { $lookup: { from: Category.collection.collectionName, localField: '_id', foreignField: '_id', as: 'category' } },
+      { $unwind: '$category' },
+      { $project: { count: 1, ids: { $concatArrays: [['$_id'], '$category.ancestors'] } } },
+      { $unwind: '$ids' },
+      { $group: { _id: '$ids', count: { $sum: '$count' } } },
+      { $lookup: { from: Category.collection.collectionName, localField: '_id', foreignField: '_id', as: 'category' } },
+      { $unwind: '$category' },
+      { $project: { _id: 0, id: '$_id', name: '$category.name', slug: '$category.slug', parent: '$category.parent', count: 1 } },
+      { $sort: { count: -1, name: 1 } }
+    ],
+    format: (buckets) => buckets
+  },
+
+  brand: {
+    stages: () => [
+      { $group: { _id: '$brand', count: { $sum: 1 } } },
+      { $lookup: { from: Brand.collection.collectionName, localField: '_id', foreignField: '_id', as: 'brand' } },
+      { $unwind: '$brand' },
+      { $project: { _id: 0, id: '$_id', name: '$brand.name', slug: '$brand.slug', count: 1 } },
+      { $sort: { count: -1, name: 1 } }
+    ],
+    format: (buckets) => buckets
+  },
+
+  // Empty price ranges are left out ($bucket only returns non-empty buckets)
+  price: {
+    stages: () => [
+      {
+        $bucket: {
+          groupBy: '$price',
+          boundaries: getPriceBoundaries(),
+          default: 'above',
+          output: { count: { $sum: 1 } }
+        }
+      }
+    ],
+    format: (buckets) => {
+      const boundaries = getPriceBoundaries();
+      const last = boundaries[boundaries.length - 1];
+      return buckets.map(({ _id, count }) => {
+        const index = boundaries.indexOf(_id);
+        return _id === 'above'
+          ? { min: last, max: null, count }
+          : { min: _id, max: boundaries[index + 1], count };
+      });
+    }
+  },
+
+  rating: {
+    stages: () => thresholdCounts('rating', RATING_STEPS),
+    format: formatThresholds(RATING_STEPS)
+  },
+
+  discount: {
+    stages: () => thresholdCounts('discount', DISCOUNT_STEPS),
+    format: formatThresholds(DISCOUNT_STEPS)
+  },
+
+  inStock: {
+    stages: () => [
+      { $group: { _id: '$inStock', count: { $sum: 1 } } },
+      { $project: { _id: 0, value: '$_id', count: 1 } },
+      { $sort: { value: -1 } }
+    ],
+    format: (buckets) => buckets
+  }
+};
+
+/**
+ * Count products per facet option in one aggregation
+ *
+ * @param {Object} parts - From buildProductFilterParts ({ base, facetFilters })
+ * @param {Object} options - { exclude: facets to skip, e.g. ['brand'] on a brand page }
+ * @returns {Promise<Object>} { category: [{ id, name, slug, parent, count }],
+ *   brand: [{ id, name, slug, count }], price: [{ min, max, count }],
+ *   rating: [{ min, count }], discount: [{ min, count }], inStock: [{ value, count }] }
+ */
+export const getProductFacets = async ({ base, facetFilters }, { exclude = [] } = {}) => {
+  const names = Object.keys(FACETS).filter((name) => !exclude.includes(name));
+
+  const [result] = await Product.aggregate([
+    { $match: base },
+    {
+      $facet: Object.fromEntries(
+        names.map((name) => [
+          name,
+          [{ $match: mergeProductFilter({ base: {}, facetFilters }, [name]) }, ...FACETS[name].stages()]
+        ])
+      )
+    }
+  ]);
+
+  return Object.fromEntries(names.map((name) => [name, FACETS[name].format(result[name])]));
+};
@@ -0,0 +1,484 @@
+/**
+ * Product Import/Export Utility
+ *
+ * PROBLEM IT SOLVES: Catalog managers onboard hundreds of SKUs at a time
+ * from spreadsheets. Creating them one by one through POST /api/products
+ * doesn't scale, and a bad row must not silently corrupt the catalog.
+ *
+ * HOW IT WORKS:
+ * 1. Parse the uploaded CSV/JSON into rows (same columns as the export)
+ * 2. Normalize each row (numbers, booleans, "a|b" lists, JSON columns) and
+ *    validate it with the same rules as POST /api/products
+ * 3. Plan: match rows to existing products (by `id`, else name + brand)
+ *    and diff them -> create / update / skip / error
+ * 4. Apply (unless dry run) in batches; failed saves are reported per row
+ *
+ * CSV FORMAT: one product per row. `images` and `tags` are "|" separated,
+ * `specifications`, `variantOptions` and `variants` are JSON. `category` and
+ * `brand` are slugs (as exported), names or ids. Exported files can be edited
+ * and imported again.
+ */
+
+import path from 'path';
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import Brand from '../models/Brand.js';
+import Category from '../models/Category.js';
+import { parseCsv, toCsv } from './csv.js';
+import { validateProductData } from './productValidation.js';
+
+export const PRODUCT_COLUMNS = [
+  'id',
+  'name',
+  'description',
+  'brand',
+  'category',
+  'price',
+  'originalPrice',
+  'stock',
+  'images',
+  'tags',
+  'featured',
+  'bestSeller',
+  'specifications',
+  'variantOptions',
+  'variants'
+];
+
+const NUMBER_FIELDS = ['price', 'originalPrice', 'stock'];
+const BOOLEAN_FIELDS = ['featured', 'bestSeller'];
+const LIST_FIELDS = ['images', 'tags'];
+const JSON_FIELDS = ['specifications', 'variantOptions', 'variants'];
+const LIST_SEPARATOR = '|';
+
+// Derived from variants (see Product.syncVariantSummary) - not imported for variant products
+const VARIANT_DERIVED_FIELDS = ['price', 'originalPrice', 'stock'];
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Parse an uploaded file (multer memory storage) into raw rows
+ *
+ * @returns {Array<Object>} Raw rows (CSV: string values, JSON: as sent)
+ */
+export const parseImportFile = (file) => {
+  const text = file.buffer.toString('utf8');
+  let rows;
+
+  if (path.extname(file.originalname).toLowerCase() === '.json') {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw badRequest('Invalid JSON file');
+    }
+
+    rows = Array.isArray(parsed) ? parsed : parsed?.products;
+    if (!Array.isArray(rows)) {
+      throw badRequest('JSON file must contain an array of products');
+    }
+  } else {
+    try {
+      rows = parseCsv(text);
+    } catch (error) {
+      throw badRequest(error.message);
+    }
+  }
+
+  const maxRows = Number(process.env.IMPORT_MAX_ROWS) || 5000;
+  if (rows.length > maxRows) {
+    throw badRequest(`Too many rows (${rows.length}). Maximum is ${maxRows} per file.`);
+  }
+
+  return rows;
+};
+
+/**
+ * Convert a raw row into product fields
+ *
+ * Empty cells are left out, so an update never blanks a field by accident.
+ *
+ * @returns {Object} { fields, errors: [{ field, message }] }
+ */
+const normalizeRow = (raw) => {
+  const fields = {};
+  const errors = [];
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { fields, errors: [{ field: 'row', message: 'Row must be an object' }] };
+  }
+
+  for (const column of PRODUCT_COLUMNS) {
+    let value = raw[column];
+    if (value === undefined || value === null || value === '') {
+      continue;
+    }
+
+    if (NUMBER_FIELDS.includes(column) && typeof value === 'string') {
+      value = Number(value.trim());
+      if (Number.isNaN(value)) {
+        errors.push({ field: column, message: `${column} must be a number` });
+        continue;
+      }
+    } else if (BOOLEAN_FIELDS.includes(column) && typeof value === 'string') {
+      const text = value.trim().toLowerCase();
+      if (!['true', 'false', '1', '0', 'yes', 'no'].includes(text)) {
+        errors.push({ field: column, message: `${column} must be true or false` });
+        continue;
+      }
+      value = ['true', '1', 'yes'].includes(text);
+    } else if (LIST_FIELDS.includes(column) && typeof value === 'string') {
+      value = value.split(LIST_SEPARATOR).map((item) => item.trim()).filter(Boolean);
+    } else if (JSON_FIELDS.includes(column) && typeof value === 'string') {
+      try {
+        value = JSON.parse(value);
+      } catch (error) {
+        errors.push({ field: column, message: `${column} must be valid JSON` });
+        continue;
+      }
+    } else if (column === 'id') {
+      value = String(value).trim();
+    }
+
+    fields[column] = value;
+  }
+
+  if (Array.isArray(fields.variants) && fields.variants.length > 0) {
+    for (const field of VARIANT_DERIVED_FIELDS) {
+      delete fields[field];
+    }
+  }
+
+  return { fields, errors };
+};
+
+const sortKeys = (object) =>
+  Object.fromEntries(Object.entries(object || {}).sort(([a], [b]) => a.localeCompare(b)));
+
+const toPlainObject = (value) => (value instanceof Map ? Object.fromEntries(value) : value);
+
+/**
+ * Canonical form of a field, so a re-imported export diffs as "no change"
+ */
+const comparable = (field, value) => {
+  switch (field) {
+    case 'specifications':
+      return sortKeys(toPlainObject(value));
+    case 'variantOptions':
+      return (value || []).map((option) => ({
+        name: String(option.name || '').trim().toLowerCase(),
+        values: (option.values || []).map(String)
+      }));
+    case 'variants':
+      return (value || []).map((variant) => ({
+        sku: String(variant.sku || '').trim().toUpperCase(),
+        options: sortKeys(toPlainObject(variant.options)),
+        price: Number(variant.price),
+        originalPrice: variant.originalPrice ?? null,
+        stock: Number(variant.stock || 0),
+        swatch: variant.swatch || null
+      }));
+    default:
+      return value ?? null;
+  }
+};
+
+/**
+ * Fields whose value differs from the existing product
+ */
+const diffProduct = (product, fields) => {
+  const current = productToRow(product);
+  return Object.keys(fields).filter(
+    (field) => field !== 'id' &&
+      JSON.stringify(comparable(field, current[field])) !== JSON.stringify(comparable(field, fields[field]))
+  );
+};
+
+const productKey = (name, brand) => `${name}\u0000${brand}`;
+
+/**
+ * Slug / name / id -> id resolver for categories and brands
+ *
+ * Names are only accepted when no two documents share them
+ * (e.g. "Skincare" and "Men > Skincare" need their slugs).
+ */
+const loadResolver = async (Model, label) => {
+  const documents = await Model.find().select('name slug');
+  const bySlugOrId = new Map();
+  const byName = new Map();
+
+  for (const document of documents) {
+    bySlugOrId.set(document.id, document.id);
+    bySlugOrId.set(document.slug, document.id);
+
+    const name = document.name.toLowerCase();
+    byName.set(name, byName.has(name) ? null : document.id); // null = ambiguous
+  }
+
+  return (value) => {
+    const key = String(value).trim().toLowerCase();
+    const id = bySlugOrId.get(key) || byName.get(key);
+    if (id) {
+      return { id };
+    }
+    return {
+      error: byName.get(key) === null
+        ? `Several ${label}s are named "${String(value).trim()}" - use the ${label} slug`
+        : `Unknown ${label}: ${String(value).trim()}`
+    };
+  };
+};
+
+/**
+ * Build the import plan (also the dry run result)
+ *
+ * @param {Array<Object>} rawRows - From parseImportFile
+ * @returns {Promise<Array<Object>>} One entry per row:
+ *   { row, action: create|update|skip|error, id, name, changes, errors, fields, product }
+ */
+export const planProductImport = async (rawRows) => {
+  const rows = [];
+  const resolvers = {
+    category: await loadResolver(Category, 'category'),
+    brand: await loadResolver(Brand, 'brand')
+  };
+
+  for (const [index, raw] of rawRows.entries()) {
+    const { fields, errors } = normalizeRow(raw);
+    const { id, ...productFields } = fields;
+
+    for (const [field, resolve] of Object.entries(resolvers)) {
+      if (productFields[field] === undefined) {
+        continue;
+      }
+      const resolved = resolve(productFields[field]);
+      if (resolved.id) {
+        productFields[field] = resolved.id;
+      } else {
+        errors.push({ field, message: resolved.error });
+      }
+    }
+    const validation = await validateProductData(productFields);
+
+    // A cell that couldn't be parsed is reported once, not again by the validator
+    const failed = errors.map((error) => error.field);
+
+    rows.push({
+      row: index + 1, // 1 = first product (line 2 of a CSV file)
+      id,
+      name: validation.data.name,
+      fields: validation.data,
+      errors: [...errors, ...validation.errors.filter((error) => !failed.includes(error.field))]
+    });
+  }
+
+  // Load matching products in two queries instead of one per row
+  const ids = rows
+    .filter((row) => row.id && mongoose.isValidObjectId(row.id))
+    .map((row) => row.id);
+  const pairs = rows
+    .filter((row) => !row.id && row.errors.length === 0)
+    .map((row) => ({ name: row.fields.name, brand: row.fields.brand }));
+
+  const byId = new Map(
+    (ids.length > 0 ? await Product.find({ _id: { $in: ids } }) : []).map((product) => [product.id, product])
+  );
+  const byKey = new Map(
+    (pairs.length > 0 ? await Product.find({ $or: pairs }) : [])
+      .map((product) => [productKey(product.name, String(product.brand)), product])
+  );
+
+  const seen = new Set();
+
+  for (const row of rows) {
+    if (row.id && row.errors.length === 0 && !byId.has(row.id)) {
+      row.errors.push({ field: 'id', message: `No product found with id ${row.id}` });
+    }
+
+    if (row.errors.length > 0) {
+      row.action = 'error';
+      continue;
+    }
+
+    row.product = row.id ? byId.get(row.id) : byKey.get(productKey(row.fields.name, row.fields.brand));
+
+    // Two rows for the same product would overwrite each other
+    const key = row.product ? row.product.id : productKey(row.fields.name, row.fields.brand);
+    if (seen.has(key)) {
+      row.action = 'error';
+      row.errors.push({ field: 'row', message: 'Duplicate of an earlier row in this file' });
+      continue;
+    }
+    seen.add(key);
+
+    if (!row.product) {
+      row.action = 'create';
+      continue;
+    }
+
+    row.id = row.product.id;
+    row.changes = diffProduct(row.product, row.fields);
+    row.action = row.changes.length > 0 ? 'update' : 'skip';
+  }
+
+  return rows;
+};
+
+/**
+ * Set imported fields on a product document
+ *
+ * Variants keep their _id when the SKU already exists, so carts and orders
+ * that reference them stay valid.
+ */
+const assignFields = (product, fields) => {
+  const values = { ...fields };
+
+  if (Array.isArray(values.variants)) {
+    values.variants = values.variants.map((variant) => {
+      const sku = String(variant.sku || '').trim().toUpperCase();
+      const existing = product.variants.find((current) => current.sku === sku);
+      return existing ? { ...variant, _id: existing._id } : variant;
+    });
+  }
+
+  product.set(values);
+
+  // Same derived fields as createProduct (variant products: see syncVariantSummary)
+  if (product.variants.length === 0) {
+    if (!product.originalPrice) {
+      product.originalPrice = product.price;
+    }
+    product.discount = product.originalPrice > product.price
+      ? Math.round(((product.originalPrice - product.price) / product.originalPrice) * 100)
+      : 0;
+    product.inStock = product.stock > 0;
+  }
+};
+
+const describeSaveError = (error) => {
+  if (error.code === 11000) {
+    return 'Duplicate value (a variant SKU is already used by another product)';
+  }
+  if (error.name === 'ValidationError') {
+    return Object.values(error.errors).map((err) => err.message).join(', ');
+  }
+  return error.message;
+};
+
+/**
+ * Apply a plan in batches
+ *
+ * Each batch is saved in parallel; a failing row is marked as error and
+ * the rest of the import continues.
+ *
+ * @param {Array<Object>} plan - From planProductImport (mutated with results)
+ * @param {Object} options - { batchSize } (default IMPORT_BATCH_SIZE or 100)
+ */
+export const applyProductImport = async (plan, { batchSize } = {}) => {
+  const size = batchSize || Number(process.env.IMPORT_BATCH_SIZE) || 100;
+  const pending = plan.filter((row) => row.action === 'create' || row.action === 'update');
+
+  for (let start = 0; start < pending.length; start += size) {
+    const batch = pending.slice(start, start + size);
+
+    const results = await Promise.allSettled(
+      batch.map((row) => {
+        const product = row.product || new Product();
+        assignFields(product, row.action === 'update'
+          ? Object.fromEntries(row.changes.map((field) => [field, row.fields[field]]))
+          : row.fields);
+        return product.save();
+      })
+    );
+
+    results.forEach((result, index) => {
+      const row = batch[index];
+      if (result.status === 'fulfilled') {
+        row.id = result.value.id;
+      } else {
+        row.action = 'error';
+        row.errors = [{ field: 'row', message: describeSaveError(result.reason) }];
+      }
+    });
+  }
+
+  return plan;
+};
+
+/**
+ * Response body for a plan: summary counts + per-row report
+ */
+export const formatImportReport = (plan) => {
+  const summary = { total: plan.length, create: 0, update: 0, skip: 0, error: 0 };
+  for (const row of plan) {
+    summary[row.action] += 1;
+  }
+
+  return {
+    summary,
+    rows: plan.map(({ row, action, id, name, changes, errors }) => ({
+      row,
+      action,
+      id,
+      name,
+      ...(changes && changes.length > 0 && { changes }),
+      ...(errors.length > 0 && { errors })
+    }))
+  };
+};
+
+/**
+ * Product document -> export row (JSON format)
+ */
+export const productToRow = (product) => ({
+  id: product._id.toString(),
+  name: product.name,
+  description: product.description,
+  brand: product.brand?.slug || String(product.brand),
+  category: product.category?.slug || String(product.category), // Slugs when populated (export)
+  price: product.price,
+  originalPrice: product.originalPrice,
+  stock: product.stock,
+  images: [...product.images],
+  tags: [...product.tags],
+  featured: product.featured,
+  bestSeller: product.bestSeller,
+  specifications: product.specifications ? Object.fromEntries(product.specifications) : {},
+  variantOptions: product.variantOptions.map((option) => ({
+    name: option.name,
+    values: [...option.values]
+  })),
+  variants: product.variants.map((variant) => ({
+    sku: variant.sku,
+    options: Object.fromEntries(variant.options),
+    price: variant.price,
+    originalPrice: variant.originalPrice,
+    stock: variant.stock,
+    swatch: variant.swatch
+  }))
+});
+
+/**
+ * Products -> CSV text (same columns the import accepts)
+ */
+export const productsToCsv = (products) => {
+  const records = products.map((product) => {
+    const row = productToRow(product);
+    const json = (value, isEmpty) => (isEmpty ? '' : JSON.stringify(value));
+
+    return {
+      ...row,
+      images: row.images.join(LIST_SEPARATOR),
+      tags: row.tags.join(LIST_SEPARATOR),
+      specifications: json(row.specifications, Object.keys(row.specifications).length === 0),
+      variantOptions: json(row.variantOptions, row.variantOptions.length === 0),
+      variants: json(row.variants, row.variants.length === 0)
+    };
+  });
+
+  return toCsv(records, PRODUCT_COLUMNS);
+};
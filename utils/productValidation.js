@@ -0,0 +1,84 @@
+/**
+ * Product Validation Rules
+ *
+ * WHY SHARED: The same rules apply to a product created through the API
+ * (POST /api/products) and to every row of a bulk import file, so an
+ * imported catalog can't contain products the form would reject.
+ */
+
+import { body, validationResult } from 'express-validator';
+
+export const productValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Product name is required')
+    .isLength({ max: 200 })
+    .withMessage('Product name cannot exceed 200 characters'),
+  body('description')
+    .trim()
+    .notEmpty()
+    .withMessage('Product description is required')
+    .isLength({ max: 2000 })
+    .withMessage('Description cannot exceed 2000 characters'),
+  body('price')
+    .if((value, { req }) => !Array.isArray(req.body.variants) || req.body.variants.length === 0)
+    .isFloat({ min: 0 })
+    .withMessage('Price must be a positive number'),
+  body('category')
+    .isMongoId()
+    .withMessage('Invalid category'), // Must exist too - checked by the Product model
+  body('brand')
+    .isMongoId()
+    .withMessage('Invalid brand'), // Must exist too - checked by the Product model
+  body('stock')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Stock must be a non-negative integer'),
+  body('variantOptions')
+    .optional()
+    .isArray()
+    .withMessage('Variant options must be an array'),
+  body('variantOptions.*.name')
+    .trim()
+    .notEmpty()
+    .withMessage('Variant option name is required'),
+  body('variants')
+    .optional()
+    .isArray()
+    .withMessage('Variants must be an array'),
+  body('variants.*.sku')
+    .trim()
+    .notEmpty()
+    .withMessage('Variant SKU is required'),
+  body('variants.*.price')
+    .isFloat({ min: 0 })
+    .withMessage('Variant price must be a positive number'),
+  body('variants.*.stock')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Variant stock must be a non-negative integer')
+];
+
+/**
+ * Validate a plain product object (e.g. an import row) against productValidation
+ *
+ * Runs the same express-validator chains outside of a request. Sanitizers
+ * (trim) are applied to the returned data.
+ *
+ * @param {Object} data - Product fields
+ * @returns {Promise<Object>} { data (sanitized), errors: [{ field, message }] }
+ */
+export const validateProductData = async (data) => {
+  const req = { body: { ...data } };
+
+  for (const chain of productValidation) {
+    await chain.run(req);
+  }
+
+  const errors = validationResult(req)
+    .array()
+    .map((error) => ({ field: error.path, message: error.msg }));
+
+  return { data: req.body, errors };
+};
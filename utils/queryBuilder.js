@@ -14,16 +14,179 @@
  * - Make query logic testable independently
  */
 
+import Brand from '../models/Brand.js';
+import Category from '../models/Category.js';
+import { encodeCursor, buildCursorQuery } from './cursor.js';
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Query string values as a list: "a,b", ?x=a&x=b or both
+ */
+const toList = (value) =>
+  (Array.isArray(value) ? value : [value])
+    .filter((item) => typeof item === 'string')
+    .flatMap((item) => item.split(','))
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// Text values match whole values, ignoring case ("Matte" = "matte")
+const exactText = (text) => new RegExp(`^${text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+
 /**
- * Build filter object for product queries
+ * Whitelisted field filters: `field[operator]=value`
+ * 
+ * WHY A WHITELIST: Express parses ?discount[gte]=20 into
+ * { discount: { gte: '20' } }, so a naive filter would also accept
+ * ?discount[$where]=... Only the fields and operators below are read,
+ * every value is converted to its field's type, and anything else is a 400.
+ * 
+ * - ?tags=vegan,cruelty-free (any of, same as tags[in]=), tags[all]=...,
+ *   tags[nin]=... (exclude) - use the [in] form when combining operators
+ * - ?discount[gte]=20&discount[lte]=50, ?originalPrice[gte]=1000
+ * - ?createdAt[gte]=2024-01-01 (or createdAfter=), updatedAt / updatedAfter
+ * - ?spec[Finish]=matte, spec[Skin Type][in]=oily,combination,
+ *   spec[SPF][gte]=30, spec[Fragrance Free][exists]=true
+ */
+const FIELD_OPERATORS = {
+  eq: '$eq',
+  ne: '$ne',
+  gt: '$gt',
+  gte: '$gte',
+  lt: '$lt',
+  lte: '$lte',
+  in: '$in',
+  nin: '$nin',
+  all: '$all',
+  exists: '$exists'
+};
+
+const LIST_OPERATORS = ['in', 'nin', 'all'];
+const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+
+const FILTER_FIELDS = {
+  tags: { type: 'text', operators: ['in', 'all', 'nin'], default: 'in' },
+  discount: { type: 'number', operators: ['eq', ...RANGE_OPERATORS], facet: 'discount' },
+  originalPrice: { type: 'number', operators: ['eq', ...RANGE_OPERATORS] },
+  createdAt: { type: 'date', operators: RANGE_OPERATORS },
+  updatedAt: { type: 'date', operators: RANGE_OPERATORS }
+};
+
+// Specification values are free text ("50", "Oily, Combination"), so
+// gt/gte/lt/lte compare them as numbers
+const SPEC_FIELD = { type: 'text', operators: ['eq', 'ne', 'in', 'nin', 'exists', ...RANGE_OPERATORS] };
+const SPEC_KEY = /^[\w -]{1,50}$/; // Map keys: no dots or $
+
+const MAX_FILTER_VALUES = 20;
+
+const convertFilterValue = (name, type, value) => {
+  if (type === 'number') {
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+      throw badRequest(`${name} must be a number`);
+    }
+    return number;
+  }
+  if (type === 'date') {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw badRequest(`${name} must be a date`);
+    }
+    return date;
+  }
+  return exactText(value);
+};
+
+/**
+ * Read one field filter from the query string into MongoDB conditions
+ * 
+ * @param {String} name - Parameter name (for error messages)
+ * @param {*} param - ?name=value, ?name=a&name=b or { operator: value }
+ * @returns {Array<Object>} Conditions to AND together
+ */
+const parseFieldFilter = (name, path, field, param) => {
+  const mixed = Array.isArray(param)
+    ? param.some((item) => typeof item !== 'string')
+    : typeof param === 'object' && Object.keys(param).some((key) => /^\d+$/.test(key));
+  if (mixed) {
+    // ?tags=a&tags[nin]=b - the query parser can't keep both apart reliably
+    throw badRequest(`Use either ${name}=<value> or ${name}[<operator>]=<value>, not both`);
+  }
+
+  const operators = typeof param === 'object' && !Array.isArray(param)
+    ? param
+    : { [field.default || 'eq']: param };
+  const condition = {};
+  const conditions = [];
+
+  for (const [operator, raw] of Object.entries(operators)) {
+    if (!field.operators.includes(operator)) {
+      throw badRequest(`Unsupported filter ${name}[${operator}]`);
+    }
+
+    const values = toList(raw);
+    if (values.length === 0) {
+      throw badRequest(`Missing value for ${name}[${operator}]`);
+    }
+    if (LIST_OPERATORS.includes(operator)) {
+      if (values.length > MAX_FILTER_VALUES) {
+        throw badRequest(`Too many values for ${name}[${operator}] (max ${MAX_FILTER_VALUES})`);
+      }
+      condition[FIELD_OPERATORS[operator]] = values.map((value) => convertFilterValue(name, field.type, value));
+      continue;
+    }
+    if (values.length > 1) {
+      throw badRequest(`${name}[${operator}] takes one value`);
+    }
+
+    const [value] = values;
+    if (operator === 'exists') {
+      condition.$exists = value === 'true';
+    } else if (field.type === 'text' && RANGE_OPERATORS.includes(operator)) {
+      // Numeric comparison of a text value; values that aren't numbers never match
+      const number = { $convert: { input: `$${path}`, to: 'double', onError: null, onNull: null } };
+      conditions.push({
+        $expr: {
+          $and: [{ $ne: [number, null] }, { [FIELD_OPERATORS[operator]]: [number, convertFilterValue(name, 'number', value)] }]
+        }
+      });
+    } else if (field.type === 'text') {
+      // $eq/$ne would compare with the regex itself instead of matching it
+      condition[operator === 'ne' ? '$nin' : '$in'] = [convertFilterValue(name, field.type, value)];
+    } else {
+      condition[FIELD_OPERATORS[operator]] = convertFilterValue(name, field.type, value);
+    }
+  }
+
+  if (Object.keys(condition).length > 0) {
+    conditions.unshift({ [path]: condition });
+  }
+  return conditions;
+};
+
+/**
+ * Build the parts of a product filter
  * 
  * Supports:
  * - Search by name/description
- * - Filter by category, brand, price range
+ * - Filter by categories (slugs or ids, including their subcategories), brand (slugs or ids), price range
  * - Filter by stock availability
  * - Filter by featured/bestseller flags
+ * - Field filters: tags, discount, originalPrice, createdAt/updatedAt and
+ *   any specification (see FILTER_FIELDS above)
+ * 
+ * WHY PARTS: Filters that have a facet in the sidebar (category, brand,
+ * price, rating, discount, inStock) are kept apart from the rest, so each
+ * facet can be counted without its own filter (utils/productFacets.js).
+ * 
+ * @returns {Promise<Object>} { base, facetFilters: { category, brand, price, rating, discount, inStock } }
+ * @throws {Error} 400 for unsupported field filters or invalid values
  */
-export const buildProductFilter = (queryParams) => {
+export const buildProductFilterParts = async (queryParams) => {
   const {
     search,
     category,
@@ -33,72 +196,152 @@ export const buildProductFilter = (queryParams) => {
     inStock,
     featured,
     bestSeller,
-    rating
+    rating,
+    spec,
+    createdAfter,
+    updatedAfter
   } = queryParams;
 
-  const filter = {};
+  // Archived (soft deleted) products are never listed
+  const base = { archivedAt: null };
+  const facetFilters = {};
+  const conditions = [];
 
   // Text search (using MongoDB text index)
   if (search) {
-    filter.$text = { $search: search };
+    if (typeof search !== 'string') {
+      throw badRequest('search must be text');
+    }
+    base.$text = { $search: search };
   }
 
-  // Category filter
+  // Category filter - "makeup" also matches Makeup > Lips > Lipstick;
+  // several categories (?category=lips,eyes) match any of them
   if (category) {
-    filter.category = category;
+    const ids = [];
+    for (const value of toList(category).slice(0, MAX_FILTER_VALUES)) {
+      const match = await Category.findBySlugOrId(value).select('_id');
+      if (match) {
+        ids.push(...await Category.getSubtreeIds(match._id));
+      }
+    }
+    facetFilters.category = { category: { $in: ids } };
   }
 
   // Brand filter (supports multiple brands)
   if (brand) {
-    const brands = Array.isArray(brand) ? brand : [brand];
-    filter.brand = { $in: brands };
+    facetFilters.brand = { brand: { $in: await Brand.findIds(toList(brand).slice(0, MAX_FILTER_VALUES)) } };
   }
 
   // Price range filter
   if (minPrice || maxPrice) {
-    filter.price = {};
+    const price = {};
     if (minPrice) {
-      filter.price.$gte = Number(minPrice);
+      price.$gte = Number(minPrice);
     }
     if (maxPrice) {
-      filter.price.$lte = Number(maxPrice);
+      price.$lte = Number(maxPrice);
     }
+    facetFilters.price = { price };
   }
 
   // Stock availability
   if (inStock !== undefined) {
-    filter.inStock = inStock === 'true' || inStock === true;
+    facetFilters.inStock = { inStock: inStock === 'true' || inStock === true };
   }
 
   // Featured products
   if (featured !== undefined) {
-    filter.featured = featured === 'true' || featured === true;
+    base.featured = featured === 'true' || featured === true;
   }
 
   // Bestseller filter
   if (bestSeller !== undefined) {
-    filter.bestSeller = bestSeller === 'true' || bestSeller === true;
+    base.bestSeller = bestSeller === 'true' || bestSeller === true;
   }
 
   // Minimum rating filter
   if (rating) {
-    filter.rating = { $gte: Number(rating) };
+    facetFilters.rating = { rating: { $gte: Number(rating) } };
+  }
+
+  // Field filters (whitelisted fields and operators only)
+  for (const [name, field] of Object.entries(FILTER_FIELDS)) {
+    if (queryParams[name] === undefined) {
+      continue;
+    }
+    const fieldConditions = parseFieldFilter(name, name, field, queryParams[name]);
+    if (field.facet) {
+      facetFilters[field.facet] = Object.assign({}, ...fieldConditions);
+    } else {
+      conditions.push(...fieldConditions);
+    }
+  }
+
+  if (createdAfter) {
+    conditions.push(...parseFieldFilter('createdAfter', 'createdAt', FILTER_FIELDS.createdAt, { gte: createdAfter }));
+  }
+  if (updatedAfter) {
+    conditions.push(...parseFieldFilter('updatedAfter', 'updatedAt', FILTER_FIELDS.updatedAt, { gte: updatedAfter }));
   }
 
-  return filter;
+  // Specification filters: ?spec[Skin Type]=oily
+  if (spec !== undefined) {
+    if (typeof spec !== 'object' || Array.isArray(spec)) {
+      throw badRequest('Use spec[<name>]=<value> to filter by specification');
+    }
+    for (const [key, param] of Object.entries(spec)) {
+      if (!SPEC_KEY.test(key)) {
+        throw badRequest(`Unsupported specification filter '${key}'`);
+      }
+      conditions.push(...parseFieldFilter(`spec[${key}]`, `specifications.${key}`, SPEC_FIELD, param));
+    }
+  }
+
+  if (conditions.length > 0) {
+    base.$and = conditions;
+  }
+
+  return { base, facetFilters };
 };
 
+/**
+ * Combine filter parts into one MongoDB filter
+ * 
+ * @param {Object} parts - From buildProductFilterParts
+ * @param {Array<String>} without - Facet filters to leave out
+ */
+export const mergeProductFilter = ({ base, facetFilters }, without = []) =>
+  Object.assign(
+    {},
+    base,
+    ...Object.entries(facetFilters)
+      .filter(([facet]) => !without.includes(facet))
+      .map(([, filter]) => filter)
+  );
+
+/**
+ * Build filter object for product queries (all filters applied)
+ */
+export const buildProductFilter = async (queryParams) =>
+  mergeProductFilter(await buildProductFilterParts(queryParams));
+
 /**
  * Build sort object for product queries
  * 
  * Supports sorting by:
+ * - relevance (text searches only - default when `search` is given)
  * - price (ascending/descending)
  * - rating (descending by default)
  * - newest (createdAt)
  * - name (alphabetical)
+ * 
+ * @param {String} sortBy - Sort option from the query string
+ * @param {Object} options - { search } - the search term, if any
  */
-export const buildProductSort = (sortBy) => {
+export const buildProductSort = (sortBy, { search } = {}) => {
   const sortOptions = {
+    relevance: { relevance: -1, _id: 1 }, // Computed by Product.findForListing
     priceLow: { price: 1 }, // Low to high
     priceHigh: { price: -1 }, // High to low
     rating: { rating: -1, numReviews: -1 }, // Highest rated first, then by review count
@@ -107,24 +350,117 @@ export const buildProductSort = (sortBy) => {
     name: { name: 1 }
   };
 
+  // Relevance needs a text score, so it only applies to searches
+  if (sortBy === 'relevance' || (!sortBy && search)) {
+    return search ? sortOptions.relevance : sortOptions.newest;
+  }
+
   return sortOptions[sortBy] || sortOptions.newest; // Default to newest
 };
 
+/**
+ * Relevance score for text searches
+ * 
+ * WHY: The text score alone ranks a 1★ out-of-stock product above a
+ * bestseller with 2,000 reviews when the words match equally well.
+ * 
+ * HOW: text score x (1 + boosts). Boosts are 0..weight each, so they
+ * reorder similar matches but can't lift a poor match above a good one:
+ * - rating: rating / 5
+ * - reviews: log10(1 + numReviews) / 3 (1,000 reviews = full boost)
+ * - bestSeller, inStock: 1 or 0
+ * Weights: SEARCH_WEIGHT_RATING, SEARCH_WEIGHT_REVIEWS, SEARCH_WEIGHT_BESTSELLER,
+ * SEARCH_WEIGHT_IN_STOCK (defaults 0.2, 0.2, 0.1, 0.3; 0 turns a boost off)
+ * 
+ * @returns {Object} Aggregation expression (needs a $text $match before it)
+ */
+export const buildRelevanceScore = () => {
+  const weight = (name, fallback) => {
+    const value = Number(process.env[name]);
+    return process.env[name] !== undefined && Number.isFinite(value) ? value : fallback;
+  };
+
+  return {
+    $multiply: [
+      { $meta: 'textScore' },
+      {
+        $add: [
+          1,
+          { $multiply: [weight('SEARCH_WEIGHT_RATING', 0.2), { $divide: [{ $ifNull: ['$rating', 0] }, 5] }] },
+          {
+            $multiply: [
+              weight('SEARCH_WEIGHT_REVIEWS', 0.2),
+              { $min: [1, { $divide: [{ $log10: { $add: [1, { $ifNull: ['$numReviews', 0] }] } }, 3] }] }
+            ]
+          },
+          { $multiply: [weight('SEARCH_WEIGHT_BESTSELLER', 0.1), { $cond: ['$bestSeller', 1, 0] }] },
+          { $multiply: [weight('SEARCH_WEIGHT_IN_STOCK', 0.3), { $cond: ['$inStock', 1, 0] }] }
+        ]
+      }
+    ]
+  };
+};
+
 /**
  * Build pagination parameters
  * 
  * Calculates skip and limit for MongoDB queries.
  * Also returns metadata for frontend pagination UI.
+ * 
+ * CURSOR MODE: With a `cursor` (nextCursor/prevCursor from the previous
+ * response) the page number is ignored - see paginate().
  */
-export const buildPagination = (page = 1, limit = 10) => {
-  const pageNum = Math.max(1, Number(page));
-  const limitNum = Math.min(100, Math.max(1, Number(limit))); // Max 100 items per page
+export const buildPagination = (page = 1, limit = 10, cursor) => {
+  const pageNum = Math.max(1, Number(page) || 1);
+  const limitNum = Math.min(100, Math.max(1, Number(limit) || 10)); // Max 100 items per page
+
+  if (cursor) {
+    return { page: null, limit: limitNum, skip: 0, cursor: String(cursor) };
+  }
+
   const skip = (pageNum - 1) * limitNum;
 
   return {
     page: pageNum,
     limit: limitNum,
-    skip
+    skip,
+    cursor: null
+  };
+};
+
+/**
+ * Fetch one page of a listing, by page number or by cursor
+ * 
+ * WHY: Page numbers skip() through everything before the page and shift
+ * when items are added in between; cursors continue from the last item
+ * seen (utils/cursor.js) - what infinite scroll and API clients need.
+ * 
+ * @param {Object} pagination - From buildPagination
+ * @param {Object} sort - Listing sort; _id is added as a tiebreaker so the
+ *   order (and every cursor) is unambiguous
+ * @param {Function} fetch - ({ after, sort, skip, limit }) => Promise<docs>,
+ *   where `after` is an extra filter to AND with the listing filter (or null)
+ * @returns {Promise<Object>} { items, cursorInfo } - pass cursorInfo to createPaginationMeta
+ */
+export const paginate = async ({ limit, skip, cursor }, sort, fetch) => {
+  const fullSort = '_id' in sort ? sort : { ...sort, _id: 1 };
+
+  if (!cursor) {
+    const items = await fetch({ after: null, sort: fullSort, skip, limit });
+    return { items, cursorInfo: { items, sort: fullSort, direction: null } };
+  }
+
+  const query = buildCursorQuery(cursor, fullSort);
+  // One extra item tells whether there is more beyond this page
+  const found = await fetch({ after: query.filter, sort: query.sort, skip: 0, limit: limit + 1 });
+  const items = found.slice(0, limit);
+  if (query.direction === 'prev') {
+    items.reverse();
+  }
+
+  return {
+    items,
+    cursorInfo: { items, sort: fullSort, direction: query.direction, hasMore: found.length > limit }
   };
 };
 
@@ -133,9 +469,12 @@ export const buildPagination = (page = 1, limit = 10) => {
  * 
  * WHY: Frontend needs total pages, current page, etc. to build pagination UI.
  * This provides all necessary metadata.
+ * 
+ * With `cursorInfo` (from paginate) it also returns nextCursor/prevCursor
+ * (null at either end); currentPage is null once the client pages by cursor.
  */
-export const createPaginationMeta = (page, limit, total) => {
-  return {
+export const createPaginationMeta = (page, limit, total, cursorInfo) => {
+  const meta = {
     currentPage: page,
     itemsPerPage: limit,
     totalItems: total,
@@ -143,11 +482,20 @@ export const createPaginationMeta = (page, limit, total) => {
     hasNextPage: page * limit < total,
     hasPrevPage: page > 1
   };
-};
-
-
-
 
+  if (!cursorInfo) {
+    return meta;
+  }
 
+  const { items, sort, direction, hasMore } = cursorInfo;
+  if (direction) {
+    // Came forward from a cursor: there is a previous page, and vice versa
+    meta.hasNextPage = direction === 'prev' || hasMore;
+    meta.hasPrevPage = direction === 'next' || hasMore;
+  }
 
+  meta.nextCursor = meta.hasNextPage && items.length > 0 ? encodeCursor(items[items.length - 1], sort, 'next') : null;
+  meta.prevCursor = meta.hasPrevPage && items.length > 0 ? encodeCursor(items[0], sort, 'prev') : null;
 
+  return meta;
+};
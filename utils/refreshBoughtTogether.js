@@ -0,0 +1,47 @@
+/**
+ * Refresh "Frequently Bought Together"
+ *
+ * PROBLEM IT SOLVES: Bought-together recommendations are precomputed from
+ * order history (models/BoughtTogether.js) so product pages stay fast.
+ * This batch job recomputes them.
+ *
+ * HOW IT WORKS: Counts product pairs in the orders of the last
+ * BOUGHT_TOGETHER_DAYS days (default 180), keeps pairs bought together in
+ * at least BOUGHT_TOGETHER_MIN_ORDERS orders (default 2), up to
+ * BOUGHT_TOGETHER_MAX_ITEMS (default 10) per product. Safe to run any time;
+ * the product page keeps serving the previous results until it finishes.
+ *
+ * USAGE: npm run refresh:bought-together
+ * Schedule it nightly, e.g. crontab: 0 3 * * * cd /path/to/server && npm run refresh:bought-together
+ */
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+import BoughtTogether from '../models/BoughtTogether.js';
+
+dotenv.config();
+
+const refreshBoughtTogether = async () => {
+  try {
+    await connectDB();
+
+    const options = {
+      days: Number(process.env.BOUGHT_TOGETHER_DAYS) || 180,
+      minOrders: Number(process.env.BOUGHT_TOGETHER_MIN_ORDERS) || 2,
+      maxItems: Number(process.env.BOUGHT_TOGETHER_MAX_ITEMS) || 10
+    };
+    console.log(`🔎 Counting products bought together in the last ${options.days} days...`);
+
+    const { products, removed } = await BoughtTogether.rebuildFromOrders(options);
+
+    console.log(`✅ Bought-together recommendations for ${products} products (${removed} outdated removed)`);
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error refreshing bought-together recommendations:', error);
+    process.exit(1);
+  }
+};
+
+refreshBoughtTogether();
@@ -19,6 +19,9 @@
 import dotenv from 'dotenv';
 import connectDB from '../config/db.js';
 import Product from '../models/Product.js';
+import Category from '../models/Category.js';
+import Brand from '../models/Brand.js';
+import categories from '../data/categories.js';
 import User from '../models/User.js';
 
 dotenv.config();
@@ -321,8 +324,27 @@ const seedProducts = async () => {
     await Product.deleteMany({});
     console.log('🗑️  Existing products deleted');
 
+    // Categories first - products reference them by id
+    await Category.deleteMany({});
+    const createdCategories = await Category.insertMany(categories);
+    const categoryIds = new Map(createdCategories.map((category) => [category.name, category._id]));
+    console.log(`✅ ${createdCategories.length} categories created`);
+
+    await Brand.deleteMany({});
+    const createdBrands = await Brand.insertMany(
+      [...new Set(products.map((product) => product.brand))].map((name) => ({ name }))
+    );
+    const brandIds = new Map(createdBrands.map((brand) => [brand.name, brand._id]));
+    console.log(`✅ ${createdBrands.length} brands created`);
+
     // Insert seed products
-    const createdProducts = await Product.insertMany(products);
+    const createdProducts = await Product.insertMany(
+      products.map((product) => ({
+        ...product,
+        category: categoryIds.get(product.category),
+        brand: brandIds.get(product.brand)
+      }))
+    );
     console.log(`✅ ${createdProducts.length} products created successfully`);
 
     // Calculate initial ratings for some products (simulate some reviews)
@@ -0,0 +1,42 @@
+/**
+ * Slug Utility
+ *
+ * PROBLEM IT SOLVES: Human readable, SEO-friendly URL segments
+ * ("lakme-9-to-5-primer-matte-lipstick") instead of raw ObjectIds.
+ *
+ * HOW IT WORKS: Lowercase, strip accents, "&" -> "and", everything else that
+ * isn't a letter or digit becomes a single dash.
+ */
+
+const MAX_SLUG_LENGTH = 80;
+
+/**
+ * Convert text to a URL slug
+ *
+ * @param {String} text - e.g. "L'Oréal Paris Revitalift Serum"
+ * @returns {String} e.g. "l-oreal-paris-revitalift-serum" (may be empty)
+ */
+export const slugify = (text) =>
+  String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // Remove accents (é -> e)
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/^-+|-+$/g, '');
+
+/**
+ * Split text into normalized words (same rules as slugify, no length limit)
+ *
+ * @param {String} text - e.g. "Lakmé Lip Love"
+ * @returns {Array<String>} e.g. ['lakme', 'lip', 'love']
+ */
+export const tokenize = (text) =>
+  String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
@@ -0,0 +1,322 @@
+/**
+ * Search Suggestion Index
+ *
+ * PROBLEM IT SOLVES: The $text index only matches whole words, so
+ * autocomplete gets nothing for "lipst" (still typing) or "moisturiser"
+ * (catalog says "moisturizer"). Suggestions must also be fast enough to run
+ * on every keystroke.
+ *
+ * HOW IT WORKS:
+ * - Products, brands, categories and tags are loaded into memory once and
+ *   split into normalized words (accents and case removed)
+ * - A query word matches an indexed word exactly, as a prefix, or within
+ *   1-2 typos (insertions, deletions, substitutions, swapped letters)
+ * - Every query word must match; results are ranked by match quality, then
+ *   popularity (reviews, bestseller, number of products)
+ * - Product/brand/category changes mark the index stale (utils/catalogEvents.js);
+ *   the next request rebuilds it in the background and the old index keeps
+ *   answering meanwhile. SUGGEST_INDEX_TTL_MINUTES (default 10) also
+ *   rebuilds it periodically, for changes made by other server instances.
+ *
+ * REAL-WORLD: The search-as-you-type box on Nykaa/Amazon - usually an
+ * Elasticsearch completion suggester; this keeps it in-process instead.
+ */
+
+import Product from '../models/Product.js';
+import Brand from '../models/Brand.js';
+import Category from '../models/Category.js';
+import { tokenize } from './slugify.js';
+import { onCatalogChange } from './catalogEvents.js';
+
+const MAX_QUERY_WORDS = 5;
+
+// Product fields shown in (or ranking) suggestions - other changes, like stock, don't matter
+const INDEXED_PRODUCT_PATHS = ['name', 'slug', 'brand', 'tags', 'images', 'price', 'rating', 'numReviews', 'bestSeller', 'archivedAt'];
+
+const getIndexTtl = () => (Number(process.env.SUGGEST_INDEX_TTL_MINUTES) || 10) * 60 * 1000;
+
+let index = null; // { entries, words, postings, builtAt }
+let stale = false;
+let building = null; // Promise of the rebuild in progress
+
+/**
+ * Typos allowed for a query word: none for short words ("lip" must not
+ * match "tip"), one from 4 letters, two from 8
+ */
+const maxTypos = (word) => (word.length < 4 ? 0 : word.length < 8 ? 1 : 2);
+
+/**
+ * Edit distance with swapped letters counting as one edit
+ * ("lipstcik" -> "lipstick" = 1). Stops early once `limit` is exceeded.
+ */
+const editDistance = (a, b, limit) => {
+  if (Math.abs(a.length - b.length) > limit) {
+    return limit + 1;
+  }
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > limit) {
+      return limit + 1;
+    }
+    previousRow = row;
+    row = nextRow;
+  }
+
+  return row[b.length];
+};
+
+const addEntry = (entries, postings, entry, text) => {
+  const entryIndex = entries.push(entry) - 1;
+  for (const word of new Set(tokenize(text))) {
+    if (!postings.has(word)) {
+      postings.set(word, new Set());
+    }
+    postings.get(word).add(entryIndex);
+  }
+};
+
+/**
+ * Load the catalog and build the word -> entries index
+ */
+const buildIndex = async () => {
+  const [products, brands, categories] = await Promise.all([
+    Product.find({ archivedAt: null })
+      .select('name slug brand category tags images price rating numReviews bestSeller')
+      .lean(),
+    Brand.find().select('name slug').lean(),
+    Category.find().select('name slug').lean()
+  ]);
+
+  const brandsById = new Map(brands.map((brand) => [brand._id.toString(), brand]));
+  const productCounts = new Map();
+  const tagCounts = new Map();
+
+  for (const product of products) {
+    for (const key of [String(product.brand), String(product.category)]) {
+      productCounts.set(key, (productCounts.get(key) || 0) + 1);
+    }
+    for (const tag of new Set((product.tags || []).map((item) => item.trim().toLowerCase()).filter(Boolean))) {
+      tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1);
+    }
+  }
+
+  const entries = [];
+  const postings = new Map();
+
+  for (const product of products) {
+    const brand = brandsById.get(String(product.brand));
+    addEntry(entries, postings, {
+      type: 'product',
+      popularity: (product.numReviews || 0) + (product.bestSeller ? 50 : 0),
+      label: product.name,
+      value: {
+        _id: product._id,
+        name: product.name,
+        slug: product.slug,
+        brand: brand ? { name: brand.name, slug: brand.slug } : null,
+        image: product.images?.[0] || '',
+        price: product.price,
+        rating: product.rating
+      }
+    }, `${brand?.name || ''} ${product.name}`); // "lakme kajal" finds "Absolute Kajal" by Lakme
+  }
+
+  for (const brand of brands) {
+    addEntry(entries, postings, {
+      type: 'brand',
+      popularity: productCounts.get(brand._id.toString()) || 0,
+      label: brand.name,
+      value: { _id: brand._id, name: brand.name, slug: brand.slug }
+    }, brand.name);
+  }
+
+  for (const category of categories) {
+    addEntry(entries, postings, {
+      type: 'category',
+      popularity: productCounts.get(category._id.toString()) || 0,
+      label: category.name,
+      value: { _id: category._id, name: category.name, slug: category.slug }
+    }, category.name);
+  }
+
+  for (const [tag, count] of tagCounts) {
+    addEntry(entries, postings, {
+      type: 'tag',
+      popularity: count,
+      label: tag,
+      value: { tag, count }
+    }, tag);
+  }
+
+  return {
+    entries,
+    postings,
+    words: [...postings.keys()].sort(),
+    builtAt: Date.now()
+  };
+};
+
+/**
+ * Rebuild the index (one rebuild at a time)
+ */
+export const refreshSuggestIndex = () => {
+  if (!building) {
+    stale = false;
+    building = buildIndex()
+      .then((built) => {
+        index = built;
+        return built;
+      })
+      .finally(() => {
+        building = null;
+      });
+  }
+  return building;
+};
+
+/**
+ * Current index: built on first use, refreshed in the background when stale
+ */
+const getIndex = async () => {
+  if (!index) {
+    return refreshSuggestIndex();
+  }
+
+  if (stale || Date.now() - index.builtAt > getIndexTtl()) {
+    refreshSuggestIndex().catch((error) => {
+      stale = true; // Try again on the next request
+      console.error('Suggestion index rebuild failed:', error.message);
+    });
+  }
+  return index;
+};
+
+onCatalogChange(({ model, paths }) => {
+  if (model !== 'Product' || !paths || paths.some((path) => INDEXED_PRODUCT_PATHS.includes(path.split('.')[0]))) {
+    stale = true;
+  }
+});
+
+/**
+ * Indexed words matching one query word, with a match score
+ * (exact 3, prefix 2, typo 1.5 - 0.5 per typo)
+ *
+ * @param {Boolean} isLast - The word being typed: prefixes and prefix typos count
+ */
+const matchWord = ({ words }, queryWord, isLast) => {
+  const matches = new Map();
+  const typos = maxTypos(queryWord);
+
+  // Prefix matches: words are sorted, so they form one contiguous run
+  let low = 0;
+  let high = words.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (words[middle] < queryWord) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  for (let i = low; i < words.length && words[i].startsWith(queryWord); i++) {
+    if (words[i] === queryWord) {
+      matches.set(words[i], 3);
+    } else if (isLast || queryWord.length >= 3) {
+      matches.set(words[i], 2);
+    }
+  }
+
+  if (typos === 0) {
+    return matches;
+  }
+
+  for (const word of words) {
+    if (matches.has(word)) {
+      continue;
+    }
+    let distance = editDistance(queryWord, word, typos);
+    // Still typing: "moisturis" vs "moisturizer" -> compare with "moisturiz"
+    if (distance > typos && isLast && word.length > queryWord.length) {
+      distance = editDistance(queryWord, word.slice(0, queryWord.length), typos);
+    }
+    if (distance <= typos) {
+      matches.set(word, 1.5 - 0.5 * distance);
+    }
+  }
+
+  return matches;
+};
+
+/**
+ * Ranked suggestions for a partial query
+ *
+ * @param {String} query - What the customer typed so far
+ * @param {Object} options - { limit: max suggestions per type }
+ * @returns {Promise<Object>} { products, brands, categories, tags }
+ */
+export const getSuggestions = async (query, { limit = 5 } = {}) => {
+  const result = { products: [], brands: [], categories: [], tags: [] };
+  const queryWords = tokenize(query).slice(0, MAX_QUERY_WORDS);
+
+  if (queryWords.length === 0) {
+    return result;
+  }
+
+  const current = await getIndex();
+
+  // Entry -> summed score; an entry has to match every query word
+  let scores = null;
+  for (const [position, queryWord] of queryWords.entries()) {
+    const wordScores = new Map();
+
+    for (const [word, score] of matchWord(current, queryWord, position === queryWords.length - 1)) {
+      for (const entryIndex of current.postings.get(word)) {
+        wordScores.set(entryIndex, Math.max(wordScores.get(entryIndex) || 0, score));
+      }
+    }
+
+    scores = scores === null
+      ? wordScores
+      : new Map([...scores].filter(([entryIndex]) => wordScores.has(entryIndex))
+        .map(([entryIndex, score]) => [entryIndex, score + wordScores.get(entryIndex)]));
+
+    if (scores.size === 0) {
+      return result;
+    }
+  }
+
+  const normalizedQuery = queryWords.join(' ');
+  const ranked = [...scores]
+    .map(([entryIndex, score]) => {
+      const entry = current.entries[entryIndex];
+      const startsWithQuery = tokenize(entry.label).join(' ').startsWith(normalizedQuery);
+      return { entry, score: score + (startsWithQuery ? 1 : 0) + Math.log10(1 + entry.popularity) * 0.5 };
+    })
+    .sort((a, b) => b.score - a.score || a.entry.label.localeCompare(b.entry.label));
+
+  const groups = { product: 'products', brand: 'brands', category: 'categories', tag: 'tags' };
+  for (const { entry } of ranked) {
+    const group = result[groups[entry.type]];
+    if (group.length < limit) {
+      group.push(entry.value);
+    }
+  }
+
+  return result;
+};
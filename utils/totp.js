@@ -0,0 +1,138 @@
+/**
+ * TOTP (Time-based One-Time Password) Utility
+ *
+ * PROBLEM IT SOLVES: Two-factor authentication with authenticator apps
+ * (Google Authenticator, Authy, 1Password) without a third-party service.
+ *
+ * HOW IT WORKS (RFC 6238):
+ * 1. Server and app share a random secret (base32 encoded, shown as QR code)
+ * 2. Both compute HMAC-SHA1(secret, floor(unixTime / 30)) every 30 seconds
+ * 3. The HMAC is truncated to a 6-digit code (RFC 4226 dynamic truncation)
+ * 4. Server accepts the current code and one step either side (clock drift)
+ *
+ * REAL-WORLD: Same algorithm every authenticator app implements, used by
+ * GitHub, Google, AWS for 2FA.
+ */
+
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encode bytes as base32 (RFC 4648, no padding) - the format authenticator apps expect
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random TOTP secret (160 bits, as recommended by RFC 4226)
+ *
+ * @returns {String} Base32 encoded secret
+ */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Compute the code for a given time step
+ */
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+  // Dynamic truncation (RFC 4226 section 5.3)
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return binary.toString().padStart(DIGITS, '0');
+};
+
+/**
+ * Current TOTP time step
+ */
+export const currentTotpStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+/**
+ * Verify a TOTP code
+ *
+ * @param {String} secret - Base32 secret
+ * @param {String} code - 6-digit code entered by the user
+ * @param {Object} options - { window: accepted steps either side of now }
+ * @returns {Number|null} The matching time step (store it to block replays), or null
+ */
+export const verifyTotp = (secret, code, { window = 1 } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const step = currentTotpStep();
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = generateCode(secret, step + offset);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+      return step + offset;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build otpauth:// URI (rendered as QR code by the frontend)
+ *
+ * @param {Object} options - { secret, accountName (usually email), issuer }
+ */
+export const buildOtpAuthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};